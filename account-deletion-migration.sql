@@ -0,0 +1,6 @@
+-- Add columns for self-service account deletion with a grace period
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP; -- Row is deleted after this; ON DELETE CASCADE removes notes, labels, ...
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_at ON users(deletion_scheduled_at);
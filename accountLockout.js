@@ -0,0 +1,45 @@
+import { supabase } from './database.js';
+import { sendAccountLockedEmail } from './emailService.js';
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || '5', 10);
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES || '1', 10);
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+export const ACCOUNT_LOCKED_MESSAGE = 'Account temporarily locked due to too many failed login attempts. Please try again later.';
+
+// Seconds left on an account lock (0 when not locked)
+export const getLockoutRemaining = (user) => {
+  if (!user?.locked_until) return 0;
+  const remaining = (new Date(user.locked_until).getTime() - Date.now()) / 1000;
+  return remaining > 0 ? Math.ceil(remaining) : 0;
+};
+
+// Record a failed password/2FA check. Every LOCKOUT_THRESHOLD consecutive
+// failures lock the account, doubling the lock each time (capped at 24h).
+// Counting happens in record_failed_login() (lockout-atomic-migration.sql) so
+// parallel attempts cannot overwrite each other's count.
+export const recordFailedLogin = async (user) => {
+  const { data, error } = await supabase.rpc('record_failed_login', {
+    p_user_id: user.id,
+    p_threshold: LOCKOUT_THRESHOLD,
+    p_base_minutes: LOCKOUT_BASE_MINUTES,
+    p_max_minutes: LOCKOUT_MAX_MINUTES
+  });
+
+  if (error) {
+    throw new Error('Failed to record failed login');
+  }
+
+  const result = data?.[0];
+  if (!result?.locked) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(Date.now() + result.lock_minutes * 60 * 1000);
+
+  sendAccountLockedEmail(user.email, lockedUntil, user.locale).catch((error) => {
+    console.error('Failed to send account locked email:', error);
+  });
+
+  return { locked: true, retryAfterSeconds: result.lock_minutes * 60 };
+};
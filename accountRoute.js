@@ -0,0 +1,105 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { authenticationtoken } from "./authmiddleware.js";
+import { buildAccountExport, scheduleAccountDeletion } from "./accountService.js";
+import { revokeAllSessions, getSessionLoginTime } from "./sessionService.js";
+import { sendAccountDeletionScheduledEmail } from "./emailService.js";
+import { listAuditEvents } from "./auditLog.js";
+
+const router = express.Router();
+
+// Accounts without a password re-authenticate by logging in again shortly before deleting
+const RECENT_LOGIN_SECONDS = 5 * 60;
+
+// Whether the caller's session began with a login in the last few minutes. The
+// token's iat is not enough: every refresh issues a new one.
+const loggedInRecently = async (user) => {
+  const loginTime = user.sid ? await getSessionLoginTime(user.sid) : null;
+  return !!loginTime && Date.now() - loginTime.getTime() <= RECENT_LOGIN_SECONDS * 1000;
+};
+
+// Validation schemas
+const deleteAccountSchema = z.object({
+  password: z.string().optional(),
+});
+
+// Download everything stored about the current user as a JSON archive
+router.get("/export", authenticationtoken, async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user.id);
+    const filename = `account-export-${req.user.id}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.type("application/json");
+    res.send(JSON.stringify(archive, null, 2));
+  } catch (err) {
+    console.error("Account export error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Security history of the current account (logins, password resets, sharing changes, ...)
+router.get("/audit-log", authenticationtoken, async (req, res) => {
+  try {
+    const { event, since, until, page, limit } = req.query;
+
+    const result = await listAuditEvents({ userId: req.user.id, event, since, until, page, limit });
+
+    res.json(result);
+  } catch (err) {
+    console.error("Account audit log error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Schedule deletion of the current account (logging in again during the grace period cancels it)
+router.delete("/", authenticationtoken, async (req, res) => {
+  try {
+    const { password } = deleteAccountSchema.parse(req.body || {});
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("id, email, password, locale, deletion_scheduled_at")
+      .eq("id", req.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.password) {
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ error: "Password is incorrect" });
+      }
+    } else if (!(await loggedInRecently(req.user))) {
+      return res.status(401).json({
+        error: "Please log in again before deleting your account",
+        reauthenticationRequired: true
+      });
+    }
+
+    const scheduledAt = await scheduleAccountDeletion(user.id);
+    await revokeAllSessions(user.id);
+
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, scheduledAt, user.locale);
+    } catch (emailError) {
+      console.error("Account deletion email failed:", emailError);
+    }
+
+    res.json({
+      message: "Your account is scheduled for deletion. Log in again before then to cancel.",
+      deletion_scheduled_at: scheduledAt.toISOString()
+    });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Delete account error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
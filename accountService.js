@@ -0,0 +1,104 @@
+import { supabase } from './database.js';
+import { decryptText } from './encryption.js';
+import { readContent } from './noteRevisions.js';
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '7', 10);
+
+const PROFILE_FIELDS = 'id, name, email, email_verified, email_verified_at, totp_enabled, locale, created_at, last_login';
+
+const selectAll = async (table, column, value) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq(column, value);
+  if (error) throw error;
+  return data;
+};
+
+// Collect everything we store about a user into one JSON-serializable archive
+export const buildAccountExport = async (userId) => {
+  const { data: profile, error } = await supabase
+    .from('users')
+    .select(PROFILE_FIELDS)
+    .eq('id', userId)
+    .single();
+  if (error) throw error;
+
+  const [notes, labels, categories, identities, auditLog, revisions] = await Promise.all([
+    selectAll('notes', 'user_id', userId),
+    selectAll('labels', 'user_id', userId),
+    selectAll('categories', 'user_id', userId),
+    supabase.from('user_identities').select('provider, email, linked_at').eq('user_id', userId).then(({ data }) => data || []),
+    supabase.from('audit_logs').select('event, ip_address, user_agent, metadata, created_at').eq('user_id', userId).order('created_at').then(({ data }) => data || []),
+    selectAll('note_revisions', 'user_id', userId)
+  ]);
+
+  const noteIds = notes.map(note => note.id);
+  const [noteLabels, noteCategories] = noteIds.length === 0
+    ? [[], []]
+    : await Promise.all([
+      supabase.from('note_labels').select('note_id, label_id, created_at').in('note_id', noteIds).then(({ data }) => data || []),
+      supabase.from('note_categories').select('note_id, category_id, created_at').in('note_id', noteIds).then(({ data }) => data || [])
+    ]);
+
+  // Export plain text: the archive is for the user, not for re-import into another key
+  const exportedNotes = notes.map(({ encrypted_content, ...note }) => {
+    if (note.is_encrypted && encrypted_content) {
+      try {
+        note.content = decryptText(encrypted_content);
+      } catch (decryptError) {
+        note.content = '[Decryption Error]';
+      }
+    }
+    return note;
+  });
+
+  return {
+    exported_at: new Date().toISOString(),
+    format_version: 1,
+    profile,
+    identities,
+    notes: exportedNotes,
+    labels,
+    categories,
+    note_labels: noteLabels,
+    note_categories: noteCategories,
+    audit_log: auditLog,
+    note_revisions: revisions.map(({ encrypted_content, user_id, ...revision }) => ({
+      ...revision,
+      content: readContent({ ...revision, encrypted_content })
+    }))
+  };
+};
+
+// Mark an account for deletion after the grace period
+export const scheduleAccountDeletion = async (userId) => {
+  const now = new Date();
+  const scheduledAt = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      deletion_requested_at: now.toISOString(),
+      deletion_scheduled_at: scheduledAt.toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return scheduledAt;
+};
+
+// Delete every account whose grace period is over (ON DELETE CASCADE removes the rest)
+export const purgeDeletedAccounts = async () => {
+  const { data, error } = await supabase
+    .from('users')
+    .delete()
+    .lte('deletion_scheduled_at', new Date().toISOString())
+    .select('id');
+
+  if (error) throw error;
+  if (data.length > 0) {
+    console.log(`Purged ${data.length} deleted account(s)`);
+  }
+  return data.length;
+};
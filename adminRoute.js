@@ -0,0 +1,346 @@
+import express from "express";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { authenticationtoken, requireRole } from "./authmiddleware.js";
+import { revokeAllSessions } from "./sessionService.js";
+import { issueOneTimeToken } from "./oneTimeTokens.js";
+import { sendPasswordResetEmail } from "./emailService.js";
+import { recordAuditEvent, listAuditEvents, AUDIT_EVENTS } from "./auditLog.js";
+import { listOutboxEmails, getOutboxEmail, requeueEmail } from "./emailOutbox.js";
+
+const router = express.Router();
+
+// Every admin route requires an admin login session
+router.use(authenticationtoken, requireRole("admin"));
+
+const USER_FIELDS = "id, name, email, role, email_verified, totp_enabled, created_at, last_login, disabled_at, disabled_reason, password_reset_required, deletion_scheduled_at";
+
+// Validation schemas
+const disableUserSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+const updateRoleSchema = z.object({
+  role: z.enum(["user", "admin"]),
+});
+
+const findUser = async (id) => {
+  const { data: user } = await supabase
+    .from("users")
+    .select(USER_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+  return user;
+};
+
+// List and search users
+router.get("/users", async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, status } = req.query;
+
+    const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * parsedLimit;
+
+    let query = supabase
+      .from("users")
+      .select(USER_FIELDS, { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(offset, offset + parsedLimit - 1);
+
+    if (search) {
+      // Strip characters that have meaning inside a PostgREST or() filter
+      const term = String(search).replace(/[,()*%\\:]/g, "").trim();
+      if (term) {
+        query = query.or(`email.ilike.%${term}%,name.ilike.%${term}%`);
+      }
+    }
+    if (role) {
+      query = query.eq("role", role);
+    }
+    if (status === "disabled") {
+      query = query.not("disabled_at", "is", null);
+    } else if (status === "active") {
+      query = query.is("disabled_at", null);
+    }
+
+    const { data: users, count, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: parsedLimit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / parsedLimit)
+      }
+    });
+  } catch (err) {
+    console.error("Admin list users error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// User details with note counts and active sessions
+router.get("/users/:id", async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const [{ data: notes }, { count: activeSessions }] = await Promise.all([
+      supabase.from("notes").select("is_draft, is_public, is_encrypted, deleted_at").eq("user_id", user.id),
+      supabase
+        .from("user_sessions")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", user.id)
+        .is("revoked_at", null)
+        .gt("expires_at", new Date().toISOString())
+    ]);
+
+    const noteList = (notes || []).filter(note => !note.deleted_at);
+
+    res.json({
+      user,
+      notes: {
+        total: noteList.length,
+        drafts: noteList.filter(note => note.is_draft).length,
+        public: noteList.filter(note => note.is_public).length,
+        encrypted: noteList.filter(note => note.is_encrypted).length,
+        trashed: (notes || []).length - noteList.length
+      },
+      activeSessions: activeSessions || 0
+    });
+  } catch (err) {
+    console.error("Admin get user error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Disable an account and end all of its sessions
+router.post("/users/:id/disable", async (req, res) => {
+  try {
+    const { reason } = disableUserSchema.parse(req.body || {});
+
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: "You cannot disable your own account" });
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({ disabled_at: new Date().toISOString(), disabled_reason: reason || null })
+      .eq("id", req.params.id)
+      .select(USER_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeAllSessions(user.id);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_USER_DISABLED, { userId: user.id, metadata: { reason: reason || null } });
+
+    res.json({ message: "User disabled successfully", user });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Admin disable user error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Re-enable a disabled account
+router.post("/users/:id/enable", async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({ disabled_at: null, disabled_reason: null })
+      .eq("id", req.params.id)
+      .select(USER_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_USER_ENABLED, { userId: user.id });
+
+    res.json({ message: "User enabled successfully", user });
+  } catch (err) {
+    console.error("Admin enable user error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a user's role
+router.patch("/users/:id/role", async (req, res) => {
+  try {
+    const { role } = updateRoleSchema.parse(req.body);
+
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({ role })
+      .eq("id", req.params.id)
+      .select(USER_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_ROLE_CHANGED, { userId: user.id, metadata: { role } });
+
+    res.json({ message: "Role updated successfully", user });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Admin update role error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Force a password reset: block logins, end sessions and email a reset link
+router.post("/users/:id/force-password-reset", async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({ password_reset_required: true })
+      .eq("id", req.params.id)
+      .select("id, email, locale")
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeAllSessions(user.id);
+
+    const resetToken = await issueOneTimeToken(user.id, "password_reset");
+    await sendPasswordResetEmail(user.email, resetToken, user.locale);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_PASSWORD_RESET_FORCED, { userId: user.id });
+
+    res.json({ message: "Password reset required. A reset link has been sent to the user." });
+  } catch (err) {
+    console.error("Admin force password reset error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke every session of a user
+router.post("/users/:id/revoke-sessions", async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const revoked = await revokeAllSessions(user.id);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_SESSIONS_REVOKED, { userId: user.id, metadata: { revokedSessions: revoked } });
+
+    res.json({ message: "Sessions revoked successfully", revokedSessions: revoked });
+  } catch (err) {
+    console.error("Admin revoke sessions error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Query the audit log across all users
+router.get("/audit-log", async (req, res) => {
+  try {
+    const { user_id, actor_id, event, since, until, page, limit } = req.query;
+
+    const result = await listAuditEvents({
+      userId: user_id,
+      actorId: actor_id,
+      event,
+      since,
+      until,
+      page,
+      limit
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error("Admin audit log error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Inspect the outbound email queue
+router.get("/email-outbox", async (req, res) => {
+  try {
+    const { status, recipient, template, page, limit } = req.query;
+
+    const result = await listOutboxEmails({ status, recipient, template, page, limit });
+
+    res.json(result);
+  } catch (err) {
+    console.error("Admin email outbox error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a single outbox entry
+router.get("/email-outbox/:id", async (req, res) => {
+  try {
+    const email = await getOutboxEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ error: "Email not found" });
+    }
+
+    res.json({ email });
+  } catch (err) {
+    console.error("Admin get outbox email error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Retry a failed email
+router.post("/email-outbox/:id/requeue", async (req, res) => {
+  try {
+    const email = await requeueEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ error: "Email not found or already sent" });
+    }
+
+    res.json({ message: "Email requeued successfully", email });
+  } catch (err) {
+    console.error("Admin requeue email error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
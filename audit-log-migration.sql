@@ -0,0 +1,15 @@
+-- Create table for the security audit log
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id BIGSERIAL PRIMARY KEY,
+  event VARCHAR(50) NOT NULL, -- e.g. 'login.success', 'password_reset.requested', 'note.made_public'
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- Account the event is about (NULL when unknown, e.g. failed login for an unknown email)
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Who performed the action (differs from user_id for admin actions)
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  metadata JSONB, -- Event specific details, never secrets or tokens
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_event ON audit_logs(event, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DESC);
@@ -0,0 +1,92 @@
+import { supabase } from './database.js';
+
+export const AUDIT_EVENTS = {
+  SIGNUP: 'signup',
+  LOGIN_SUCCESS: 'login.success',
+  LOGIN_FAILURE: 'login.failure',
+  OAUTH_LOGIN: 'oauth.login',
+  OAUTH_LOGIN_FAILURE: 'oauth.login_failure',
+  OAUTH_LINKED: 'oauth.linked',
+  MAGIC_LINK_REQUESTED: 'magic_link.requested',
+  PASSWORD_RESET_REQUESTED: 'password_reset.requested',
+  PASSWORD_RESET_COMPLETED: 'password_reset.completed',
+  PASSWORD_CHANGED: 'password.changed',
+  EMAIL_VERIFIED: 'email.verified',
+  EMAIL_CHANGED: 'email.changed',
+  SESSION_REVOKED: 'session.revoked',
+  NOTE_MADE_PUBLIC: 'note.made_public',
+  NOTE_ENCRYPTED: 'note.encrypted',
+  NOTE_SHARED: 'note.shared',
+  NOTE_SHARE_UPDATED: 'note.share_updated',
+  NOTE_SHARE_REVOKED: 'note.share_revoked',
+  NOTE_SHARE_LINK_CREATED: 'note.share_link_created',
+  NOTE_SHARE_LINK_REVOKED: 'note.share_link_revoked',
+  NOTE_SHARE_LINK_REGENERATED: 'note.share_link_regenerated',
+  ADMIN_USER_DISABLED: 'admin.user_disabled',
+  ADMIN_USER_ENABLED: 'admin.user_enabled',
+  ADMIN_ROLE_CHANGED: 'admin.role_changed',
+  ADMIN_PASSWORD_RESET_FORCED: 'admin.password_reset_forced',
+  ADMIN_SESSIONS_REVOKED: 'admin.sessions_revoked',
+};
+
+// Record a security event. `userId` is the account the event is about and
+// defaults to the authenticated user, who is also recorded as the actor.
+// Failures are logged and swallowed so auditing never breaks a request.
+export const recordAuditEvent = async (req, event, { userId, metadata } = {}) => {
+  try {
+    const actorId = req.user?.id || null;
+
+    const { error } = await supabase
+      .from('audit_logs')
+      .insert([{
+        event,
+        user_id: userId ?? actorId,
+        actor_id: actorId,
+        ip_address: req.ip || null,
+        user_agent: req.get('user-agent') || null,
+        metadata: metadata || null,
+        created_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      console.error(`Audit event "${event}" could not be stored:`, error.message);
+    }
+  } catch (error) {
+    console.error(`Audit event "${event}" could not be stored:`, error);
+  }
+};
+
+// Page through audit entries, newest first
+export const listAuditEvents = async ({ userId, actorId, event, since, until, page = 1, limit = 50 } = {}) => {
+  const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const offset = (parsedPage - 1) * parsedLimit;
+
+  let query = supabase
+    .from('audit_logs')
+    .select('id, event, user_id, actor_id, ip_address, user_agent, metadata, created_at', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + parsedLimit - 1);
+
+  if (userId) query = query.eq('user_id', userId);
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (event) query = query.eq('event', event);
+  if (since) query = query.gte('created_at', since);
+  if (until) query = query.lte('created_at', until);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to load audit log');
+  }
+
+  return {
+    events: data || [],
+    pagination: {
+      page: parsedPage,
+      limit: parsedLimit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / parsedLimit)
+    }
+  };
+};
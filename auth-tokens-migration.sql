@@ -0,0 +1,15 @@
+-- Create table for single-use tokens sent by email (verification, password reset, ...)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL, -- 'verification', 'password_reset'
+  token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token, the token itself is never stored
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP, -- Set when the token is used
+  revoked_at TIMESTAMP, -- Set when a newer token of the same type is issued
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_type ON auth_tokens(user_id, type);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_expires_at ON auth_tokens(expires_at);
@@ -1,17 +1,111 @@
-import jwt from "jsonwebtoken"; 
+import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { supabase } from "./database.js";
+import { isSessionActive } from "./sessionService.js";
+import { isPersonalAccessToken, findActivePersonalAccessToken, isPersonalAccessTokenActive } from "./personalAccessTokens.js";
 dotenv.config();
 
 
-export function authenticationtoken(req, res, next){
+// Personal access tokens are only accepted on routes that declare a scope (see requireScope)
+async function authenticatePersonalToken(token, scope, req, res, next){
+    if(!scope) return res.status(403).json({message:"personal access tokens cannot be used for this endpoint"});
+
+    const record = await findActivePersonalAccessToken(token);
+    if(!record) return res.status(401).json({message:"invalid or expired token"});
+
+    if(!record.scopes.includes(scope)){
+        return res.status(403).json({message:`token is missing required scope: ${scope}`});
+    }
+
+    const account = await loadAccount(record.user_id);
+    if(!account || account.disabled_at) return res.status(401).json({message:"invalid or expired token"});
+
+    req.user = { id: account.id, email: account.email, role: account.role, scopes: record.scopes, tokenId: record.id, authType: "pat" };
+    next();
+}
+
+async function loadAccount(userId){
+    const { data: account } = await supabase
+        .from("users")
+        .select("id, email, role, disabled_at, password_reset_at")
+        .eq("id", userId)
+        .maybeSingle();
+    return account;
+}
+
+// Why the account no longer accepts a (verified) login token, or null
+function loginTokenRejection(user, account){
+    if(!account) return { status: 401, message: "invalid or expired token" };
+
+    if(account.disabled_at) return { status: 403, message: "account has been disabled" };
+
+    // Tokens issued before the last password reset are no longer valid
+    if(account.password_reset_at && user.iat < Math.floor(new Date(account.password_reset_at).getTime() / 1000)){
+        return { status: 401, message: "token has been invalidated by a password reset" };
+    }
+
+    return null;
+}
+
+async function authenticate(req, res, next, scope){
     const authheader = req.headers['authorization'];
     const token = authheader && authheader.split(" ")[1];
 
     if(!token) return res.status(401).json({message: "token not found"});
 
-    jwt.verify(token, process.env.JWT_SECRET_KEY, (error,user)=>{
-        if(error) return res.status(401).json({message:"invalid or expired token"});
-        req.user = user;
+    if(isPersonalAccessToken(token)) return authenticatePersonalToken(token, scope, req, res, next);
+
+    let user;
+    try {
+        user = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    } catch (error) {
+        return res.status(401).json({message:"invalid or expired token"});
+    }
+
+    // Typed tokens (e.g. the 2FA pending token) share the signing key but are not access tokens
+    if(user.type) return res.status(401).json({message:"invalid or expired token"});
+
+    if(user.sid && !(await isSessionActive(user.sid))){
+        return res.status(401).json({message:"session has been revoked"});
+    }
+
+    const account = await loadAccount(user.id);
+    const rejection = loginTokenRejection(user, account);
+    if(rejection) return res.status(rejection.status).json({message: rejection.message});
+
+    // Login sessions carry every scope; the role always comes from the database
+    req.user = { ...user, role: account.role, authType: "session" };
+    next();
+}
+
+// Recheck the credentials behind req.user for connections that outlive the request
+// (the realtime stream): the same checks as authenticate, plus token expiry
+export async function credentialsStillValid(user){
+    if(user.authType === "pat"){
+        const account = await loadAccount(user.id);
+        return !!account && !account.disabled_at && await isPersonalAccessTokenActive(user.tokenId);
+    }
+
+    if(user.exp && user.exp * 1000 <= Date.now()) return false;
+    if(user.sid && !(await isSessionActive(user.sid))) return false;
+    return !loginTokenRejection(user, await loadAccount(user.id));
+}
+
+export function authenticationtoken(req, res, next){
+    return authenticate(req, res, next);
+};
+
+// Same as authenticationtoken, but also accepts personal access tokens granted `scope`
+export function requireScope(scope){
+    return (req, res, next) => authenticate(req, res, next, scope);
+};
+
+// Allow only users with one of the given roles (use after authenticationtoken)
+export function requireRole(...roles){
+    return (req, res, next) => {
+        if(!req.user || !roles.includes(req.user.role)){
+            return res.status(403).json({message:"insufficient permissions"});
+        }
         next();
-    });
-};
\ No newline at end of file
+    };
+};
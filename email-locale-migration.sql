@@ -0,0 +1,3 @@
+-- Preferred language for emails (a directory name under email-templates/, NULL means MAIL_DEFAULT_LOCALE)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
@@ -0,0 +1,12 @@
+-- Queue the template variables instead of the rendered body; the worker renders at send time
+ALTER TABLE email_outbox
+ADD COLUMN IF NOT EXISTS vars JSONB;
+
+-- Bodies of sent messages can contain single-use links and are no longer kept
+-- (failed ones keep theirs until they are purged, so they can be requeued)
+UPDATE email_outbox
+SET html = NULL, text = NULL
+WHERE status = 'sent';
+
+-- The worker purges finished messages by age
+CREATE INDEX IF NOT EXISTS idx_email_outbox_finished ON email_outbox(status, updated_at);
@@ -0,0 +1,22 @@
+-- How an address was verified: 'email' when the user opened a link we mailed to it
+-- (verify-email, magic link, email change), otherwise the OAuth provider that vouched for it.
+-- OAuth sign-ins only link to existing accounts whose address has a source recorded here.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email_verified_via VARCHAR(20);
+
+-- Accounts verified through the verify-email flow before this column existed.
+-- Others stay NULL: older builds marked some addresses verified without any proof.
+UPDATE users
+SET email_verified_via = 'email'
+WHERE email_verified = TRUE
+  AND email_verified_via IS NULL
+  AND id IN (SELECT user_id FROM audit_logs WHERE event = 'email.verified');
+
+-- Accounts without a password could only be created by a Google sign-in, which
+-- vouched for the address. They have no other way to log in, so they must keep
+-- linking by email on their next Google login.
+UPDATE users
+SET email_verified_via = 'google'
+WHERE email_verified = TRUE
+  AND email_verified_via IS NULL
+  AND password IS NULL;
@@ -0,0 +1,234 @@
+import { supabase } from './database.js';
+import { sendMail } from './mailer.js';
+import { renderEmail } from './emailTemplates.js';
+import { runJobNow } from './scheduler.js';
+
+export const EMAIL_OUTBOX_JOB = 'email-outbox';
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '30', 10);
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const BATCH_SIZE = 20;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS || '7', 10);
+
+// Everything except the template variables, which can contain single-use links
+const SUMMARY_FIELDS = 'id, recipient, template, locale, subject, status, attempts, max_attempts, last_error, next_attempt_at, sent_at, created_at, updated_at';
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped at 6 hours
+const retryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+};
+
+// Queue a template for delivery by the outbox worker. Only the template name and
+// its variables are stored; the body is rendered when the message is sent.
+export const enqueueEmail = async ({ to, subject, template, vars, locale }) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .insert([{
+      recipient: to,
+      template,
+      locale: locale || null,
+      subject,
+      vars: vars || {},
+      status: 'pending',
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error('Failed to queue email');
+  }
+
+  // Deliver promptly instead of waiting for the next worker tick
+  runJobNow(EMAIL_OUTBOX_JOB);
+
+  return data.id;
+};
+
+// Send one claimed message and record the outcome
+const deliver = async (message) => {
+  const attempts = message.attempts + 1;
+
+  try {
+    // Rows queued before vars existed still carry their rendered body
+    const { subject, html, text } = message.vars
+      ? renderEmail(message.template, message.vars, message.locale)
+      : message;
+
+    await sendMail({
+      to: message.recipient,
+      subject,
+      html,
+      text,
+      template: message.template,
+      locale: message.locale
+    });
+
+    await supabase
+      .from('email_outbox')
+      .update({
+        status: 'sent',
+        attempts,
+        vars: null,
+        html: null,
+        text: null,
+        last_error: null,
+        locked_at: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', message.id);
+    return true;
+  } catch (error) {
+    const failed = attempts >= message.max_attempts;
+
+    await supabase
+      .from('email_outbox')
+      .update({
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        last_error: String(error?.message || error).slice(0, 1000),
+        locked_at: null,
+        next_attempt_at: new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', message.id);
+    return false;
+  }
+};
+
+// Worker: send every due message. Each row is claimed with a conditional
+// update first, so two workers never send the same message.
+export const processEmailOutbox = async () => {
+  const now = new Date();
+
+  // Messages left in "sending" by a crashed worker become due again
+  await supabase
+    .from('email_outbox')
+    .update({ status: 'pending', locked_at: null })
+    .eq('status', 'sending')
+    .lt('locked_at', new Date(now.getTime() - STALE_LOCK_MS).toISOString());
+
+  const { data: due, error } = await supabase
+    .from('email_outbox')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at')
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { id } of due) {
+    const { data: claimed } = await supabase
+      .from('email_outbox')
+      .update({ status: 'sending', locked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select('id, recipient, template, locale, subject, vars, html, text, attempts, max_attempts');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    if (await deliver(claimed[0])) {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (sent > 0 || failed > 0) {
+    console.log(`Email outbox: ${sent} sent, ${failed} failed`);
+  }
+
+  // Finished messages are only kept for a while, for admins to inspect (and requeue when failed)
+  await supabase
+    .from('email_outbox')
+    .delete()
+    .in('status', ['sent', 'failed'])
+    .lt('updated_at', new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+
+  return { sent, failed };
+};
+
+// Page through the outbox for admins, newest first
+export const listOutboxEmails = async ({ status, recipient, template, page = 1, limit = 50 } = {}) => {
+  const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const offset = (parsedPage - 1) * parsedLimit;
+
+  let query = supabase
+    .from('email_outbox')
+    .select(SUMMARY_FIELDS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + parsedLimit - 1);
+
+  if (status) query = query.eq('status', status);
+  if (recipient) query = query.eq('recipient', recipient);
+  if (template) query = query.eq('template', template);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to load email outbox');
+  }
+
+  return {
+    emails: data || [],
+    pagination: {
+      page: parsedPage,
+      limit: parsedLimit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / parsedLimit)
+    }
+  };
+};
+
+// One outbox entry (without its body), or null
+export const getOutboxEmail = async (id) => {
+  const { data } = await supabase
+    .from('email_outbox')
+    .select(SUMMARY_FIELDS)
+    .eq('id', id)
+    .maybeSingle();
+  return data;
+};
+
+// Put a failed (or pending) message back in the queue with a fresh set of attempts.
+// Failed messages keep their content until the retention purge for this.
+export const requeueEmail = async (id) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      locked_at: null,
+      next_attempt_at: now,
+      updated_at: now
+    })
+    .eq('id', id)
+    .in('status', ['failed', 'pending'])
+    .select(SUMMARY_FIELDS);
+
+  if (error) {
+    throw new Error('Failed to requeue email');
+  }
+
+  if (data && data.length > 0) {
+    runJobNow(EMAIL_OUTBOX_JOB);
+    return data[0];
+  }
+  return null;
+};
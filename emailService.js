@@ -1,113 +1,76 @@
-import dotenv from 'dotenv';
+import { renderEmail } from './emailTemplates.js';
+import { enqueueEmail } from './emailOutbox.js';
 
-dotenv.config();
-
-// Mock email service for testing with dummy emails
-const isDummyEmail = !process.env.EMAIL_USER || process.env.EMAIL_USER === 'your-email@gmail.com' || process.env.EMAIL_USER.includes('dummy') || process.env.EMAIL_USER.includes('test');
+// Queue a template for the recipient's locale. It is rendered here only to catch
+// a missing template early; the worker renders it again when sending. Delivery (with
+// retries) happens in the outbox worker, so a mail server outage never fails a request.
+const sendTemplatedEmail = async (to, template, vars, locale) => {
+  const { subject, locale: renderedLocale } = renderEmail(template, vars, locale);
+  await enqueueEmail({ to, subject, template, vars, locale: renderedLocale });
+};
 
 // Send verification email
-export const sendVerificationEmail = async (email, token) => {
+export const sendVerificationEmail = async (email, token, locale) => {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
-  
-  if (isDummyEmail) {
-    // Mock email sending for testing
-    console.log('📧 MOCK EMAIL - Verification Email');
-    console.log('To:', email);
-    console.log('Subject: Verify Your Email Address');
-    console.log('Verification URL:', verificationUrl);
-    console.log('Token:', token);
-    console.log('✅ Mock verification email "sent" successfully');
-    return;
-  }
+  await sendTemplatedEmail(email, 'verification', { verificationUrl }, locale);
+};
 
-  // Real email sending code would go here
-  const nodemailer = await import('nodemailer');
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+// Send password reset email
+export const sendPasswordResetEmail = async (email, token, locale) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+  await sendTemplatedEmail(email, 'password-reset', { resetUrl }, locale);
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Verify Your Email Address',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Email Verification</h2>
-        <p>Thank you for signing up! Please click the button below to verify your email address:</p>
-        <a href="${verificationUrl}" 
-           style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
-          Verify Email
-        </a>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${verificationUrl}</p>
-        <p>This link will expire in 24 hours.</p>
-      </div>
-    `,
-  };
+// Send passwordless login link
+export const sendMagicLinkEmail = async (email, token, locale) => {
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+  await sendTemplatedEmail(email, 'magic-link', { loginUrl }, locale);
+};
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('Verification email sent successfully');
-  } catch (error) {
-    console.error('Error sending verification email:', error);
-    throw error;
-  }
+// Send account locked notice
+export const sendAccountLockedEmail = async (email, lockedUntil, locale) => {
+  await sendTemplatedEmail(email, 'account-locked', {
+    resetUrl: `${process.env.FRONTEND_URL}/forgot-password`,
+    unlockTime: lockedUntil.toUTCString()
+  }, locale);
 };
 
-// Send password reset email
-export const sendPasswordResetEmail = async (email, token) => {
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
-  
-  if (isDummyEmail) {
-    // Mock email sending for testing
-    console.log('📧 MOCK EMAIL - Password Reset Email');
-    console.log('To:', email);
-    console.log('Subject: Password Reset Request');
-    console.log('Reset URL:', resetUrl);
-    console.log('Token:', token);
-    console.log('✅ Mock password reset email "sent" successfully');
-    return;
-  }
+// Send notice about a sign-in from a device we have not seen before
+export const sendNewSignInEmail = async (email, { userAgent, ipAddress, method, signedInAt }, locale) => {
+  await sendTemplatedEmail(email, 'new-sign-in', {
+    device: userAgent || 'Unknown device',
+    ipAddress: ipAddress || 'unknown',
+    method: method || 'unknown',
+    time: signedInAt.toUTCString(),
+    sessionsUrl: `${process.env.FRONTEND_URL}/profile/sessions`
+  }, locale);
+};
 
-  // Real email sending code would go here
-  const nodemailer = await import('nodemailer');
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+// Send confirmation link to a new email address
+export const sendEmailChangeConfirmationEmail = async (newEmail, token, locale) => {
+  const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${token}`;
+  await sendTemplatedEmail(newEmail, 'email-change-confirmation', { confirmUrl }, locale);
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Password Reset Request',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset</h2>
-        <p>You requested a password reset. Click the button below to reset your password:</p>
-        <a href="${resetUrl}" 
-           style="background-color: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
-          Reset Password
-        </a>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${resetUrl}</p>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-      </div>
-    `,
-  };
+// Notify the current address that an email change was requested
+export const sendEmailChangeNoticeEmail = async (email, newEmail, locale) => {
+  await sendTemplatedEmail(email, 'email-change-notice', { newEmail }, locale);
+};
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('Password reset email sent successfully');
-  } catch (error) {
-    console.error('Error sending password reset email:', error);
-    throw error;
-  }
-};
\ No newline at end of file
+// Send invitation to a note someone shared
+export const sendNoteSharedEmail = async (email, { sharedBy, noteId, noteTitle, permission }, locale) => {
+  await sendTemplatedEmail(email, 'note-shared', {
+    sharedBy,
+    noteTitle: noteTitle || 'Untitled',
+    permission,
+    noteUrl: `${process.env.FRONTEND_URL}/notes/${noteId}`
+  }, locale);
+};
+
+// Send account deletion scheduled notice
+export const sendAccountDeletionScheduledEmail = async (email, scheduledAt, locale) => {
+  await sendTemplatedEmail(email, 'account-deletion-scheduled', {
+    loginUrl: `${process.env.FRONTEND_URL}/login`,
+    deletionTime: scheduledAt.toUTCString()
+  }, locale);
+};
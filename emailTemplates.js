@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Templates live in email-templates/<locale>/<name>.html and <name>.txt. The
+// first line of the text part is "Subject: ...", followed by a blank line.
+// HTML parts are wrapped in email-templates/layout.html. Placeholders are
+// {{name}} (HTML-escaped in .html files) or {{{name}}} (inserted as is).
+const TEMPLATE_DIR = process.env.MAIL_TEMPLATE_DIR
+  || fileURLToPath(new URL('./email-templates', import.meta.url));
+const DEFAULT_LOCALE = process.env.MAIL_DEFAULT_LOCALE || 'en';
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const readTemplate = (file) => {
+  if (!cache.has(file)) {
+    cache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return cache.get(file);
+};
+
+const fill = (template, vars, escape) => {
+  return template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => String(vars[key] ?? ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escape(vars[key] ?? ''));
+};
+
+// Locales that have a template directory
+export const listEmailLocales = () => {
+  return fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+};
+
+// Pick the best supported locale from an Accept-Language style list (or a single locale)
+export const resolveLocale = (requested) => {
+  const supported = listEmailLocales();
+  const candidates = String(requested || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (supported.includes(candidate)) return candidate;
+    const base = candidate.split('-')[0];
+    if (supported.includes(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+};
+
+// Render an email to { subject, html, text, locale }, falling back to the default locale
+export const renderEmail = (name, vars = {}, locale = DEFAULT_LOCALE) => {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(`Invalid email template name: ${name}`);
+  }
+
+  const chosen = [locale, DEFAULT_LOCALE].find(candidate =>
+    candidate && /^[a-z]{2}(-[a-z]{2})?$/i.test(candidate)
+    && readTemplate(path.join(TEMPLATE_DIR, candidate, `${name}.txt`)) !== null
+  );
+
+  if (!chosen) {
+    throw new Error(`Email template not found: ${name}`);
+  }
+
+  const rawText = readTemplate(path.join(TEMPLATE_DIR, chosen, `${name}.txt`));
+  const rawHtml = readTemplate(path.join(TEMPLATE_DIR, chosen, `${name}.html`));
+
+  const [firstLine, ...rest] = rawText.split(/\r?\n/);
+  if (!firstLine.startsWith('Subject:')) {
+    throw new Error(`Email template ${chosen}/${name}.txt must start with a "Subject:" line`);
+  }
+
+  const subject = fill(firstLine.slice('Subject:'.length).trim(), vars, String);
+  const text = fill(rest.join('\n').trim(), vars, String);
+
+  let html = null;
+  if (rawHtml !== null) {
+    const content = fill(rawHtml, vars, escapeHtml).trimEnd();
+    const layout = readTemplate(path.join(TEMPLATE_DIR, 'layout.html')) || '{{{content}}}';
+    html = fill(layout, { subject, locale: chosen, content }, escapeHtml);
+  }
+
+  return { subject, html, text, locale: chosen };
+};
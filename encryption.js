@@ -27,8 +27,3 @@ export const decryptText = (encryptedText) => {
     throw new Error('Failed to decrypt content');
   }
 };
-
-// Generate random share ID for public notes
-export const generateShareId = () => {
-  return CryptoJS.lib.WordArray.random(128/8).toString(CryptoJS.enc.Hex).substring(0, 12);
-};
\ No newline at end of file
@@ -0,0 +1,16 @@
+-- Create table for external login identities (Google, ...) linked to a user
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL, -- 'google', ...
+  provider_user_id VARCHAR(255) NOT NULL, -- Subject id issued by the provider
+  email VARCHAR(255), -- Email reported by the provider when linked
+  linked_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(provider, provider_user_id), -- One account per external identity
+  UNIQUE(user_id, provider) -- One identity per provider per account
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- Existing Google users (no password) are linked by verified email on their next Google login;
+-- email-verification-source-migration.sql records that Google verified their address
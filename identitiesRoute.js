@@ -0,0 +1,117 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { authenticationtoken } from "./authmiddleware.js";
+import { listIdentities, unlinkIdentity, IdentityError } from "./identityService.js";
+import { getOAuthProvider } from "./oauthProviders.js";
+import { generateLinkIntentToken } from "./utils.js";
+import { checkPassword, PASSWORD_POLICY_ERROR } from "./passwordPolicy.js";
+
+const router = express.Router();
+
+// Validation schemas
+const setPasswordSchema = z.object({
+  newPassword: z.string().min(1),
+});
+
+// List linked providers and whether the account has a password
+router.get("/", authenticationtoken, async (req, res) => {
+  try {
+    const [{ data: user }, identities] = await Promise.all([
+      supabase.from("users").select("password").eq("id", req.user.id).single(),
+      listIdentities(req.user.id)
+    ]);
+
+    res.json({ identities, hasPassword: !!user?.password });
+  } catch (err) {
+    console.error("Get identities error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Set a first password on an OAuth-only account
+router.post("/password", authenticationtoken, async (req, res) => {
+  try {
+    const { newPassword } = setPasswordSchema.parse(req.body);
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("id, name, email, password")
+      .eq("id", req.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.password) {
+      return res.status(400).json({ error: "This account already has a password" });
+    }
+
+    const reasons = checkPassword(newPassword, user);
+    if (reasons.length > 0) {
+      return res.status(400).json({ error: PASSWORD_POLICY_ERROR, reasons });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+
+    // Conditional on password still being null so this can never overwrite one
+    const { data, error } = await supabase
+      .from("users")
+      .update({ password: hashed })
+      .eq("id", user.id)
+      .is("password", null)
+      .select("id");
+
+    if (error || !data || data.length === 0) {
+      return res.status(400).json({ error: "Failed to set password" });
+    }
+
+    res.json({ message: "Password set successfully. You can now log in with your email and password." });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Set password error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Start linking a provider: returns the URL the browser should navigate to
+router.post("/:provider/link", authenticationtoken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!getOAuthProvider(provider)) {
+      return res.status(404).json({ error: "Unknown provider" });
+    }
+
+    const linkToken = generateLinkIntentToken(req.user.id, provider);
+
+    res.json({
+      message: `Redirect the browser to linkUrl to connect your ${provider} account`,
+      linkUrl: `/oauth/${provider}?link_token=${encodeURIComponent(linkToken)}`
+    });
+  } catch (err) {
+    console.error("Link identity error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unlink a provider
+router.delete("/:provider", authenticationtoken, async (req, res) => {
+  try {
+    await unlinkIdentity(req.user.id, req.params.provider);
+
+    res.json({ message: `${req.params.provider} account unlinked successfully` });
+  } catch (err) {
+    if (err instanceof IdentityError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Unlink identity error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
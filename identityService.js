@@ -0,0 +1,137 @@
+import { supabase } from './database.js';
+
+// Error with an HTTP status so routes can surface it directly
+export class IdentityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IdentityError';
+    this.status = status;
+  }
+}
+
+// Link an external identity to an existing user
+export const linkIdentity = async (userId, provider, { id, email }) => {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .insert([{
+      user_id: userId,
+      provider,
+      provider_user_id: String(id),
+      email: email || null,
+      linked_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      throw new IdentityError(`This ${provider} account is already linked to a user, or a ${provider} account is already linked to yours`, 409);
+    }
+    throw error;
+  }
+
+  return data;
+};
+
+// Resolve an external login to a user. Order: existing identity, then a
+// verified account with the same email (linked automatically), then a new account.
+export const findOrCreateOAuthUser = async (provider, { id, email, name, emailVerified = true }) => {
+  const { data: identity, error: identityError } = await supabase
+    .from('user_identities')
+    .select('user_id')
+    .eq('provider', provider)
+    .eq('provider_user_id', String(id))
+    .maybeSingle();
+
+  if (identityError) throw identityError;
+
+  if (identity) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', identity.user_id)
+      .single();
+    if (error) throw error;
+    return user;
+  }
+
+  if (!email) {
+    throw new IdentityError(`No email found in ${provider} profile`);
+  }
+
+  const { data: existingUser, error: selectError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (selectError) throw selectError;
+
+  if (existingUser) {
+    // Only link by email when both sides have proven ownership of the address.
+    // email_verified alone is not enough: older builds set it without any proof.
+    if (!existingUser.email_verified || !existingUser.email_verified_via || !emailVerified) {
+      throw new IdentityError(`An account with this email already exists. Log in with your password and link ${provider} from your profile.`, 409);
+    }
+
+    await linkIdentity(existingUser.id, provider, { id, email });
+    console.log(`Linked ${provider} identity to existing user:`, existingUser.id);
+    return existingUser;
+  }
+
+  const { data: newUser, error: insertError } = await supabase
+    .from('users')
+    .insert([{
+      name,
+      email,
+      password: null, // OAuth-only until the user sets a password
+      email_verified: emailVerified,
+      email_verified_at: emailVerified ? new Date().toISOString() : null,
+      email_verified_via: emailVerified ? provider : null,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  await linkIdentity(newUser.id, provider, { id, email });
+  console.log('New user created successfully:', newUser.id);
+  return newUser;
+};
+
+// List the identities linked to a user
+export const listIdentities = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .select('provider, email, linked_at')
+    .eq('user_id', userId)
+    .order('linked_at');
+
+  if (error) throw error;
+  return data;
+};
+
+// Unlink a provider, refusing to remove the user's last way to sign in
+export const unlinkIdentity = async (userId, provider) => {
+  const [{ data: user }, identities] = await Promise.all([
+    supabase.from('users').select('password').eq('id', userId).single(),
+    listIdentities(userId)
+  ]);
+
+  if (!identities.some(identity => identity.provider === provider)) {
+    throw new IdentityError(`No ${provider} account is linked`, 404);
+  }
+
+  if (!user?.password && identities.length === 1) {
+    throw new IdentityError('Set a password or link another provider before unlinking your only sign-in method');
+  }
+
+  const { error } = await supabase
+    .from('user_identities')
+    .delete()
+    .eq('user_id', userId)
+    .eq('provider', provider);
+
+  if (error) throw error;
+};
@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { supabase } from "./database.js";
-import { authenticationtoken } from "./authmiddleware.js";
+import { requireScope } from "./authmiddleware.js";
+import { publishNoteEvent, NOTE_EVENTS } from "./realtime.js";
 
 const router = express.Router();
 
@@ -27,7 +28,7 @@ const updateCategorySchema = createCategorySchema.partial();
 // LABELS ROUTES
 
 // Get all labels for authenticated user
-router.get("/labels", authenticationtoken, async (req, res) => {
+router.get("/labels", requireScope("labels:read"), async (req, res) => {
   try {
     const { data: labels, error } = await supabase
       .from("labels")
@@ -47,7 +48,7 @@ router.get("/labels", authenticationtoken, async (req, res) => {
 });
 
 // Create new label
-router.post("/labels", authenticationtoken, async (req, res) => {
+router.post("/labels", requireScope("labels:write"), async (req, res) => {
   try {
     const validatedData = createLabelSchema.parse(req.body);
     
@@ -76,8 +77,8 @@ router.post("/labels", authenticationtoken, async (req, res) => {
 
     res.status(201).json({ message: "Label created successfully", label: data });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Create label error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -85,7 +86,7 @@ router.post("/labels", authenticationtoken, async (req, res) => {
 });
 
 // Update label
-router.put("/labels/:id", authenticationtoken, async (req, res) => {
+router.put("/labels/:id", requireScope("labels:write"), async (req, res) => {
   try {
     const { id } = req.params;
     const validatedData = updateLabelSchema.parse(req.body);
@@ -116,8 +117,8 @@ router.put("/labels/:id", authenticationtoken, async (req, res) => {
 
     res.json({ message: "Label updated successfully", label: data });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Update label error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -125,7 +126,7 @@ router.put("/labels/:id", authenticationtoken, async (req, res) => {
 });
 
 // Delete label
-router.delete("/labels/:id", authenticationtoken, async (req, res) => {
+router.delete("/labels/:id", requireScope("labels:write"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -154,7 +155,7 @@ router.delete("/labels/:id", authenticationtoken, async (req, res) => {
 // CATEGORIES ROUTES
 
 // Get all categories for authenticated user
-router.get("/categories", authenticationtoken, async (req, res) => {
+router.get("/categories", requireScope("labels:read"), async (req, res) => {
   try {
     const { data: categories, error } = await supabase
       .from("categories")
@@ -174,7 +175,7 @@ router.get("/categories", authenticationtoken, async (req, res) => {
 });
 
 // Create new category
-router.post("/categories", authenticationtoken, async (req, res) => {
+router.post("/categories", requireScope("labels:write"), async (req, res) => {
   try {
     const validatedData = createCategorySchema.parse(req.body);
     
@@ -204,8 +205,8 @@ router.post("/categories", authenticationtoken, async (req, res) => {
 
     res.status(201).json({ message: "Category created successfully", category: data });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Create category error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -213,7 +214,7 @@ router.post("/categories", authenticationtoken, async (req, res) => {
 });
 
 // Update category
-router.put("/categories/:id", authenticationtoken, async (req, res) => {
+router.put("/categories/:id", requireScope("labels:write"), async (req, res) => {
   try {
     const { id } = req.params;
     const validatedData = updateCategorySchema.parse(req.body);
@@ -244,8 +245,8 @@ router.put("/categories/:id", authenticationtoken, async (req, res) => {
 
     res.json({ message: "Category updated successfully", category: data });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Update category error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -253,7 +254,7 @@ router.put("/categories/:id", authenticationtoken, async (req, res) => {
 });
 
 // Delete category
-router.delete("/categories/:id", authenticationtoken, async (req, res) => {
+router.delete("/categories/:id", requireScope("labels:write"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -282,7 +283,7 @@ router.delete("/categories/:id", authenticationtoken, async (req, res) => {
 // ASSIGNMENT ROUTES
 
 // Assign labels to note
-router.post("/notes/:noteId/labels", authenticationtoken, async (req, res) => {
+router.post("/notes/:noteId/labels", requireScope("labels:write"), async (req, res) => {
   try {
     const { noteId } = req.params;
     const { labelIds } = req.body;
@@ -297,6 +298,7 @@ router.post("/notes/:noteId/labels", authenticationtoken, async (req, res) => {
       .select("id")
       .eq("id", noteId)
       .eq("user_id", req.user.id)
+      .is("deleted_at", null)
       .single();
 
     if (!note) {
@@ -326,6 +328,9 @@ router.post("/notes/:noteId/labels", authenticationtoken, async (req, res) => {
       }
     }
 
+    // Labels belong to the note owner and are not shown to collaborators
+    await publishNoteEvent(req, NOTE_EVENTS.LABELS_CHANGED, { id: note.id, labelIds });
+
     res.json({ message: "Labels assigned successfully" });
   } catch (err) {
     console.error("Assign labels error:", err);
@@ -334,7 +339,7 @@ router.post("/notes/:noteId/labels", authenticationtoken, async (req, res) => {
 });
 
 // Assign categories to note
-router.post("/notes/:noteId/categories", authenticationtoken, async (req, res) => {
+router.post("/notes/:noteId/categories", requireScope("labels:write"), async (req, res) => {
   try {
     const { noteId } = req.params;
     const { categoryIds } = req.body;
@@ -349,6 +354,7 @@ router.post("/notes/:noteId/categories", authenticationtoken, async (req, res) =
       .select("id")
       .eq("id", noteId)
       .eq("user_id", req.user.id)
+      .is("deleted_at", null)
       .single();
 
     if (!note) {
@@ -378,6 +384,9 @@ router.post("/notes/:noteId/categories", authenticationtoken, async (req, res) =
       }
     }
 
+    // Categories belong to the note owner and are not shown to collaborators
+    await publishNoteEvent(req, NOTE_EVENTS.CATEGORIES_CHANGED, { id: note.id, categoryIds });
+
     res.json({ message: "Categories assigned successfully" });
   } catch (err) {
     console.error("Assign categories error:", err);
@@ -386,7 +395,7 @@ router.post("/notes/:noteId/categories", authenticationtoken, async (req, res) =
 });
 
 // Get notes with their labels and categories
-router.get("/notes-with-labels", authenticationtoken, async (req, res) => {
+router.get("/notes-with-labels", requireScope("notes:read"), async (req, res) => {
   try {
     const { label_id, category_id, search } = req.query;
 
@@ -420,7 +429,7 @@ router.get("/notes-with-labels", authenticationtoken, async (req, res) => {
       LEFT JOIN labels l ON nl.label_id = l.id
       LEFT JOIN note_categories nc ON n.id = nc.note_id
       LEFT JOIN categories c ON nc.category_id = c.id
-      WHERE n.user_id = $1
+      WHERE n.user_id = $1 AND n.deleted_at IS NULL
     `;
 
     const params = [req.user.id];
@@ -463,6 +472,7 @@ router.get("/notes-with-labels", authenticationtoken, async (req, res) => {
         .from("notes")
         .select("*")
         .eq("user_id", req.user.id)
+        .is("deleted_at", null)
         .order("updated_at", { ascending: false });
 
       if (simpleError) {
@@ -0,0 +1,71 @@
+// Largest LCS table we are willing to build (lines of a * lines of b, after trimming)
+const MAX_DIFF_CELLS = 4000000;
+
+export class DiffTooLargeError extends Error {}
+
+const toLines = (text) => {
+  const value = String(text ?? '');
+  return value === '' ? [] : value.split(/\r?\n/);
+};
+
+// Line-by-line diff of two texts based on the longest common subsequence.
+// Returns [{ type: 'equal' | 'added' | 'removed', line, oldLine, newLine }]
+// where oldLine/newLine are 1-based line numbers (null on the side without the line).
+export const diffLines = (oldText, newText) => {
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // Common prefix and suffix do not need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    throw new DiffTooLargeError('Texts are too large to diff');
+  }
+
+  // lcs[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  for (let k = 0; k < start; k++) {
+    changes.push({ type: 'equal', line: a[k], oldLine: k + 1, newLine: k + 1 });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      changes.push({ type: 'equal', line: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      changes.push({ type: 'removed', line: a[start + i], oldLine: start + i + 1, newLine: null });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[start + j], oldLine: null, newLine: start + j + 1 });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    changes.push({ type: 'equal', line: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  return changes;
+};
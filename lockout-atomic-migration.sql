@@ -0,0 +1,37 @@
+-- Count a failed login and, every p_threshold failures, lock the account in one
+-- statement per step, so concurrent failures cannot overwrite each other's count.
+-- The row lock taken by the first UPDATE serializes parallel calls for a user.
+CREATE OR REPLACE FUNCTION record_failed_login(
+  p_user_id INTEGER,
+  p_threshold INTEGER,
+  p_base_minutes INTEGER,
+  p_max_minutes INTEGER
+)
+RETURNS TABLE (locked BOOLEAN, lock_minutes INTEGER) AS $$
+DECLARE
+  v_attempts INTEGER;
+  v_lockouts INTEGER;
+  v_minutes INTEGER;
+BEGIN
+  UPDATE users
+  SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1
+  WHERE id = p_user_id
+  RETURNING failed_login_attempts, COALESCE(lockout_count, 0) INTO v_attempts, v_lockouts;
+
+  IF v_attempts IS NULL OR v_attempts < p_threshold THEN
+    RETURN QUERY SELECT FALSE, NULL::INTEGER;
+    RETURN;
+  END IF;
+
+  -- The lock doubles with every lockout since the last successful login
+  v_minutes := LEAST(p_base_minutes * POWER(2, LEAST(v_lockouts, 30)), p_max_minutes)::INTEGER;
+
+  UPDATE users
+  SET failed_login_attempts = 0,
+      lockout_count = v_lockouts + 1,
+      locked_until = (NOW() AT TIME ZONE 'UTC') + make_interval(mins => v_minutes)
+  WHERE id = p_user_id;
+
+  RETURN QUERY SELECT TRUE, v_minutes;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,5 @@
+-- Add columns for progressive account lockout after failed password checks
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS lockout_count INTEGER DEFAULT 0, -- Number of lockouts since the last successful login
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
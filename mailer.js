@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Chosen only by MAIL_TRANSPORT; development setups opt into console or outbox explicitly
+const TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'notes-app-outbox');
+
+const fromAddress = () => process.env.MAIL_FROM || process.env.SMTP_USER || process.env.EMAIL_USER;
+
+let smtpTransporter = null;
+
+// Generic SMTP. SMTP_HOST/SMTP_PORT/SMTP_SECURE pick a server; without a host,
+// SMTP_SERVICE names a nodemailer well-known service (Gmail by default).
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpTransporter) {
+      const auth = {
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+      };
+      smtpTransporter = process.env.SMTP_HOST
+        ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587', 10),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: auth.user ? auth : undefined,
+        })
+        : nodemailer.createTransport({ service: process.env.SMTP_SERVICE || 'gmail', auth });
+    }
+    const { from, to, subject, html, text } = message;
+    await smtpTransporter.sendMail({ from, to, subject, html, text });
+  },
+};
+
+// Prints the text part, so links can be copied from the server log during development
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`📧 MOCK EMAIL - ${message.template}`);
+    console.log('To:', message.to);
+    console.log('Subject:', message.subject);
+    console.log(message.text);
+    console.log('✅ Mock email "sent" successfully');
+  },
+};
+
+// Writes each message as a JSON file into MAIL_OUTBOX_DIR, for tests and local inspection
+const outboxTransport = {
+  send: async (message) => {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${uuidv4()}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+  },
+};
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  outbox: outboxTransport,
+};
+
+if (!TRANSPORTS[TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${TRANSPORT}" (expected smtp, console or outbox)`);
+}
+
+export const getMailTransportName = () => TRANSPORT;
+
+// True when emails do not actually leave the server (console or outbox transport)
+export const isMockMailTransport = () => TRANSPORT !== 'smtp';
+
+// Deliver a rendered message ({ to, subject, html, text, template, locale })
+export const sendMail = async (message) => {
+  try {
+    await TRANSPORTS[TRANSPORT].send({ from: fromAddress(), ...message });
+  } catch (error) {
+    console.error(`Error sending ${message.template || 'email'} email:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,17 @@
+-- Create table for note version history
+CREATE TABLE IF NOT EXISTS note_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  content TEXT,
+  encrypted_content TEXT, -- Encrypted notes keep encrypted revisions
+  is_encrypted BOOLEAN DEFAULT FALSE,
+  source VARCHAR(20) NOT NULL, -- 'initial', 'create', 'update', 'autosave', 'restore'
+  restored_from BIGINT REFERENCES note_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW() -- Moves forward while autosaves are coalesced into the revision
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_note_revisions_note_id ON note_revisions(note_id, created_at DESC);
@@ -0,0 +1,32 @@
+-- Public share links as first-class objects (a note can have several)
+CREATE TABLE IF NOT EXISTS note_share_links (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  token VARCHAR(64) UNIQUE NOT NULL, -- Part of the public URL
+  label VARCHAR(100),
+  password_hash TEXT, -- bcrypt hash; NULL when the link has no password
+  expires_at TIMESTAMP, -- NULL for links that never expire
+  revoked_at TIMESTAMP,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_share_links_note_id ON note_share_links(note_id);
+
+-- Keep existing public URLs working: every current public_share_id becomes a link
+INSERT INTO note_share_links (note_id, created_by, token, created_at, updated_at)
+SELECT id, user_id, public_share_id, COALESCE(published_at, created_at), NOW()
+FROM notes
+WHERE is_public = TRUE AND public_share_id IS NOT NULL
+ON CONFLICT (token) DO NOTHING;
+
+-- Count a view atomically
+CREATE OR REPLACE FUNCTION record_share_link_view(link_id INTEGER)
+RETURNS VOID AS $$
+  UPDATE note_share_links
+  SET view_count = view_count + 1, last_viewed_at = NOW()
+  WHERE id = link_id;
+$$ LANGUAGE sql;
@@ -0,0 +1,29 @@
+-- User-to-user sharing on the note_shares table from notes-migration.sql
+ALTER TABLE note_shares
+ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+-- Rows without a recipient were never usable
+DELETE FROM note_shares WHERE shared_with_user_id IS NULL;
+UPDATE note_shares SET permission = 'read' WHERE permission IS NULL OR permission NOT IN ('read', 'write', 'admin');
+
+ALTER TABLE note_shares
+ALTER COLUMN shared_with_user_id SET NOT NULL,
+ALTER COLUMN permission SET NOT NULL;
+
+-- A note is shared with a user at most once
+DELETE FROM note_shares a
+USING note_shares b
+WHERE a.note_id = b.note_id
+  AND a.shared_with_user_id = b.shared_with_user_id
+  AND a.id < b.id;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'note_shares_note_user_unique') THEN
+    ALTER TABLE note_shares ADD CONSTRAINT note_shares_note_user_unique UNIQUE (note_id, shared_with_user_id);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'note_shares_permission_check') THEN
+    ALTER TABLE note_shares ADD CONSTRAINT note_shares_permission_check CHECK (permission IN ('read', 'write', 'admin'));
+  END IF;
+END $$;
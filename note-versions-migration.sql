@@ -0,0 +1,3 @@
+-- Version counter for optimistic concurrency control (exposed as the note's ETag)
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1; -- Incremented on every content change
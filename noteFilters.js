@@ -0,0 +1,164 @@
+import { supabase } from './database.js';
+
+// The filters GET /api/notes understands. Both the individual query params
+// (filtersFromParams) and the q= query language (noteQueryParser.js) fill the
+// same object, which is then applied to the list and count queries alike.
+export const emptyFilters = () => ({
+  search: [], // websearch_to_tsquery fragments (words, "phrases", -exclusions)
+  tags: [],
+  excludeTags: [],
+  labels: [], // label names (query language)
+  excludeLabels: [],
+  labelIds: [], // label ids (label_id param)
+  categories: [],
+  excludeCategories: [],
+  categoryIds: [],
+  is: {}, // { draft, public, encrypted }: true or false
+  createdFrom: null, // created_at >= (inclusive)
+  createdTo: null, // created_at <= (inclusive, date_to param)
+  createdBefore: null, // created_at < (before: in the query language)
+});
+
+const IS_COLUMNS = { draft: 'is_draft', public: 'is_public', encrypted: 'is_encrypted' };
+
+// Filters from the individual query params of GET /api/notes
+export const filtersFromParams = ({ search, tag, draft_only, visibility, date_from, date_to, label_id, category_id }) => {
+  const filters = emptyFilters();
+
+  if (search) filters.search.push(String(search));
+  if (tag) filters.tags.push(String(tag));
+
+  if (draft_only === 'true') {
+    filters.is.draft = true;
+  } else if (draft_only === 'false') {
+    filters.is.draft = false;
+  }
+
+  if (visibility === 'public') {
+    filters.is.public = true;
+  } else if (visibility === 'private') {
+    filters.is.public = false;
+  } else if (visibility === 'encrypted') {
+    filters.is.encrypted = true;
+  }
+
+  if (date_from) filters.createdFrom = String(date_from);
+  if (date_to) filters.createdTo = String(date_to);
+  if (label_id) filters.labelIds.push(String(label_id));
+  if (category_id) filters.categoryIds.push(String(category_id));
+
+  return filters;
+};
+
+// Ids of the user's labels/categories for each name (case-insensitive), null where none matches
+const idsForNames = async (table, userId, names) => {
+  if (names.length === 0) return [];
+
+  const { data } = await supabase
+    .from(table)
+    .select('id, name')
+    .eq('user_id', userId);
+
+  const byName = new Map((data || []).map(row => [row.name.toLowerCase(), row.id]));
+  return names.map(name => byName.get(name.toLowerCase()) ?? null);
+};
+
+const notesLinkedTo = async (table, column, id) => {
+  const { data } = await supabase
+    .from(table)
+    .select('note_id')
+    .eq(column, id);
+  return (data || []).map(row => row.note_id);
+};
+
+const notesTagged = async (userId, tag) => {
+  const { data } = await supabase
+    .from('notes')
+    .select('id')
+    .eq('user_id', userId)
+    .contains('tags', [tag]);
+  return (data || []).map(row => row.id);
+};
+
+// Label, category and tag exclusions cannot be expressed as plain column filters,
+// so they are resolved to note ids first. `include` is null when unrestricted.
+export const resolveNoteIds = async (userId, filters) => {
+  let include = null;
+  const exclude = new Set();
+
+  const restrictTo = (ids) => {
+    include = include === null ? [...new Set(ids)] : include.filter(id => ids.includes(id));
+  };
+
+  const links = [
+    { table: 'labels', linkTable: 'note_labels', column: 'label_id', ids: filters.labelIds, names: filters.labels, excluded: filters.excludeLabels },
+    { table: 'categories', linkTable: 'note_categories', column: 'category_id', ids: filters.categoryIds, names: filters.categories, excluded: filters.excludeCategories },
+  ];
+
+  for (const { table, linkTable, column, ids, names, excluded } of links) {
+    // Every requested label/category must be on the note; an unknown name matches nothing
+    for (const id of [...ids, ...(await idsForNames(table, userId, names))]) {
+      restrictTo(id === null ? [] : await notesLinkedTo(linkTable, column, id));
+    }
+    for (const id of await idsForNames(table, userId, excluded)) {
+      if (id !== null) {
+        (await notesLinkedTo(linkTable, column, id)).forEach(noteId => exclude.add(noteId));
+      }
+    }
+  }
+
+  // A NOT contains filter would also drop notes whose tags are NULL
+  for (const tag of filters.excludeTags) {
+    (await notesTagged(userId, tag)).forEach(noteId => exclude.add(noteId));
+  }
+
+  return { include, exclude: [...exclude] };
+};
+
+// Apply filters (and the ids from resolveNoteIds) to a notes query builder
+export const applyNoteFilters = (query, filters, noteIds) => {
+  const search = filters.search.join(' ').trim();
+  if (search) {
+    query = query.textSearch('search_vector', search, { type: 'websearch', config: 'english' });
+  }
+
+  if (filters.tags.length > 0) {
+    query = query.contains('tags', filters.tags);
+  }
+
+  for (const [field, value] of Object.entries(filters.is)) {
+    query = query.eq(IS_COLUMNS[field], value);
+  }
+
+  if (filters.createdFrom) query = query.gte('created_at', filters.createdFrom);
+  if (filters.createdTo) query = query.lte('created_at', filters.createdTo);
+  if (filters.createdBefore) query = query.lt('created_at', filters.createdBefore);
+
+  if (noteIds.include !== null) {
+    query = query.in('id', noteIds.include);
+  }
+  if (noteIds.exclude.length > 0) {
+    query = query.not('id', 'in', `(${noteIds.exclude.join(',')})`);
+  }
+
+  return query;
+};
+
+// The filters that are actually set, for meta.query
+export const describeFilters = (filters) => {
+  const applied = {};
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (key === 'search') {
+      if (value.length > 0) applied.search = value.join(' ');
+    } else if (Array.isArray(value)) {
+      if (value.length > 0) applied[key] = value;
+    } else if (key === 'is') {
+      if (Object.keys(value).length > 0) applied.is = value;
+    } else if (value !== null) {
+      applied[key] = value;
+    }
+  }
+
+  return applied;
+};
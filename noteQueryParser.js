@@ -0,0 +1,194 @@
+import { emptyFilters } from './noteFilters.js';
+
+// Parser for the note search language used by GET /api/notes?q=, e.g.
+//
+//   tag:work label:urgent is:draft -is:public before:2025-01-01 "quarterly plan"
+//
+// Terms are separated by whitespace and a leading "-" negates one.
+//   tag:<tag>            note has the tag
+//   label:<name>         note has the label (name, case-insensitive)
+//   category:<name>      note is in the category
+//   is:<state>           draft, published, public, private or encrypted
+//   before:<date>        created before the date (YYYY-MM-DD or an ISO timestamp)
+//   after:<date>         created on or after the date
+// Anything else is full-text search: words and "quoted phrases". Only the keys
+// above start a filter, so words like https://example.com or 10:30 are searched
+// as they are. Quotes inside a word are ignored.
+// Values containing spaces can be quoted: label:"to do".
+
+// Malformed queries report the 0-based offset in the query where the problem is
+export class QueryParseError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.position = position;
+  }
+}
+
+const FILTER_KEYS = ['tag', 'label', 'category', 'is', 'before', 'after'];
+
+const IS_VALUES = {
+  draft: ['draft', true],
+  published: ['draft', false],
+  public: ['public', true],
+  private: ['public', false],
+  encrypted: ['encrypted', true],
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const isSpace = (char) => /\s/.test(char);
+
+// Date.parse rolls impossible days over (2025-02-30 becomes March 2), so the
+// calendar day has to come back out unchanged as well
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) return false;
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === value.slice(0, 10);
+};
+
+// Read a "quoted" string starting at the opening quote
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new QueryParseError('Unterminated quote', start);
+  }
+  return { value: input.slice(start + 1, end), next: end + 1 };
+};
+
+// Every date bound has to hold, so of two lower bounds the later one wins
+// and of two upper bounds the earlier one
+const laterDate = (current, value) => (current && Date.parse(current) >= Date.parse(value) ? current : value);
+const earlierDate = (current, value) => (current && Date.parse(current) <= Date.parse(value) ? current : value);
+
+const addUnique = (list, value) => {
+  if (!list.includes(value)) list.push(value);
+};
+
+const applyFilter = (filters, key, value, negated, { start, valuePos }) => {
+  switch (key) {
+    case 'tag':
+      addUnique(negated ? filters.excludeTags : filters.tags, value);
+      break;
+    case 'label':
+      addUnique(negated ? filters.excludeLabels : filters.labels, value);
+      break;
+    case 'category':
+      addUnique(negated ? filters.excludeCategories : filters.categories, value);
+      break;
+    case 'is': {
+      const state = IS_VALUES[value.toLowerCase()];
+      if (!state) {
+        throw new QueryParseError(
+          `Unknown value "${value}" for "is:" (expected ${Object.keys(IS_VALUES).join(', ')})`,
+          valuePos
+        );
+      }
+      const [field, wanted] = state;
+      const expected = negated ? !wanted : wanted;
+      if (filters.is[field] !== undefined && filters.is[field] !== expected) {
+        throw new QueryParseError(`"${negated ? '-' : ''}is:${value}" contradicts an earlier filter`, start);
+      }
+      filters.is[field] = expected;
+      break;
+    }
+    case 'before':
+    case 'after': {
+      if (negated) {
+        throw new QueryParseError(`"${key}:" cannot be negated`, start);
+      }
+      if (!isValidDate(value)) {
+        throw new QueryParseError(`Invalid date "${value}" for "${key}:" (use YYYY-MM-DD)`, valuePos);
+      }
+      if (key === 'before') {
+        filters.createdBefore = earlierDate(filters.createdBefore, value);
+      } else {
+        filters.createdFrom = laterDate(filters.createdFrom, value);
+      }
+      break;
+    }
+  }
+};
+
+// Every label/category term costs a lookup, so keep queries reasonably short
+export const MAX_QUERY_LENGTH = 500;
+
+// Parse a query into filters. Pass existing filters (e.g. from filtersFromParams)
+// to combine both; every condition has to hold. Throws QueryParseError.
+export const parseNoteQuery = (input, filters = emptyFilters()) => {
+  const query = String(input);
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new QueryParseError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  let i = 0;
+
+  while (i < query.length) {
+    if (isSpace(query[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negated = query[i] === '-';
+    if (negated) {
+      i++;
+      if (i >= query.length || isSpace(query[i])) {
+        throw new QueryParseError('Expected a term after "-"', start);
+      }
+    }
+
+    // "quoted phrase"
+    if (query[i] === '"') {
+      const { value, next } = readQuoted(query, i);
+      if (!value.trim()) {
+        throw new QueryParseError('Empty phrase', i);
+      }
+      filters.search.push(`${negated ? '-' : ''}"${value.replace(/\s+/g, ' ').trim()}"`);
+      i = next;
+      continue;
+    }
+
+    let end = i;
+    while (end < query.length && !isSpace(query[end])) {
+      end++;
+    }
+
+    const separator = query.indexOf(':', i);
+    const key = separator !== -1 && separator < end ? query.slice(i, separator).toLowerCase() : null;
+
+    // Plain word
+    if (!FILTER_KEYS.includes(key)) {
+      const word = query.slice(i, end).replace(/"/g, '');
+      if (word) {
+        filters.search.push(`${negated ? '-' : ''}${word}`);
+      }
+      i = end;
+      continue;
+    }
+
+    // key:value
+    const valuePos = separator + 1;
+    let value;
+    if (query[valuePos] === '"') {
+      ({ value, next: i } = readQuoted(query, valuePos));
+    } else {
+      i = valuePos;
+      while (i < query.length && !isSpace(query[i])) {
+        if (query[i] === '"') {
+          throw new QueryParseError('Unexpected quote (quote the whole phrase or value)', i);
+        }
+        i++;
+      }
+      value = query.slice(valuePos, i);
+    }
+
+    value = value.trim();
+    if (!value) {
+      throw new QueryParseError(`Missing value for "${key}:"`, valuePos);
+    }
+
+    applyFilter(filters, key, value, negated, { start, valuePos });
+  }
+
+  return filters;
+};
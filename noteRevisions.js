@@ -0,0 +1,135 @@
+import { supabase } from './database.js';
+import { decryptText } from './encryption.js';
+
+// Autosaves within this window update the latest autosave revision instead of adding one
+const AUTOSAVE_COALESCE_MINUTES = parseInt(process.env.NOTE_AUTOSAVE_COALESCE_MINUTES || '10', 10);
+
+const SUMMARY_FIELDS = 'id, note_id, title, is_encrypted, source, restored_from, created_at, updated_at';
+
+// Plain text of a note or revision row (encrypted rows are decrypted)
+export const readContent = (row) => {
+  if (row.is_encrypted && row.encrypted_content) {
+    try {
+      return decryptText(row.encrypted_content);
+    } catch (decryptError) {
+      return '[Decryption Error]';
+    }
+  }
+  return row.content || '';
+};
+
+// Stored fields of a note as a revision row; encrypted notes stay encrypted
+const snapshot = (note, source, restoredFrom) => ({
+  note_id: note.id,
+  user_id: note.user_id,
+  title: note.title,
+  content: note.is_encrypted ? null : note.content,
+  encrypted_content: note.is_encrypted ? note.encrypted_content : null,
+  is_encrypted: !!note.is_encrypted,
+  source,
+  restored_from: restoredFrom || null
+});
+
+const latestRevision = async (noteId) => {
+  const { data } = await supabase
+    .from('note_revisions')
+    .select('id, title, content, encrypted_content, is_encrypted, source, created_at')
+    .eq('note_id', noteId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1);
+  return data?.[0] || null;
+};
+
+// Record the saved state of a note as a revision. Saves that change neither
+// title nor content are skipped, and autosaves are coalesced. `previous` is
+// the note before the save: notes created before revisions existed get it
+// recorded as their 'initial' revision so the first save does not lose it.
+export const recordRevision = async (note, source, { previous, restoredFrom } = {}) => {
+  try {
+    const latest = await latestRevision(note.id);
+
+    if (!latest && previous) {
+      await supabase
+        .from('note_revisions')
+        .insert([{ ...snapshot(previous, 'initial'), created_at: previous.updated_at || previous.created_at }]);
+    }
+
+    const unchanged = latest
+      && latest.title === note.title
+      && latest.is_encrypted === !!note.is_encrypted
+      && readContent(latest) === readContent(note);
+    if (unchanged && source !== 'restore') {
+      return null;
+    }
+
+    const now = new Date();
+
+    if (source === 'autosave' && latest?.source === 'autosave'
+      && now - new Date(latest.created_at) < AUTOSAVE_COALESCE_MINUTES * 60 * 1000) {
+      const { note_id, user_id, ...fields } = snapshot(note, source);
+      await supabase
+        .from('note_revisions')
+        .update({ ...fields, updated_at: now.toISOString() })
+        .eq('id', latest.id);
+      return latest.id;
+    }
+
+    const { data, error } = await supabase
+      .from('note_revisions')
+      .insert([{ ...snapshot(note, source, restoredFrom), created_at: now.toISOString(), updated_at: now.toISOString() }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data.id;
+  } catch (error) {
+    // History is best effort: a failed snapshot must not fail the save itself
+    console.error(`Failed to record revision for note ${note.id}:`, error);
+    return null;
+  }
+};
+
+// Revisions of a note, newest first (without content)
+export const listRevisions = async (noteId, { page = 1, limit = 50 } = {}) => {
+  const parsedLimit = Math.min(parseInt(limit) || 50, 100);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const offset = (parsedPage - 1) * parsedLimit;
+
+  const { data, count, error } = await supabase
+    .from('note_revisions')
+    .select(SUMMARY_FIELDS, { count: 'exact' })
+    .eq('note_id', noteId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + parsedLimit - 1);
+
+  if (error) {
+    throw new Error('Failed to load revisions');
+  }
+
+  return {
+    revisions: data || [],
+    pagination: {
+      page: parsedPage,
+      limit: parsedLimit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / parsedLimit)
+    }
+  };
+};
+
+// One revision of a note with its decrypted content, or null
+export const getRevision = async (noteId, revisionId) => {
+  const { data: revision } = await supabase
+    .from('note_revisions')
+    .select('*')
+    .eq('note_id', noteId)
+    .eq('id', revisionId)
+    .maybeSingle();
+
+  if (!revision) return null;
+
+  const { encrypted_content, user_id, ...fields } = revision;
+  return { ...fields, content: readContent(revision) };
+};
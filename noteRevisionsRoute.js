@@ -0,0 +1,190 @@
+import express from "express";
+import { supabase } from "./database.js";
+import { requireScope } from "./authmiddleware.js";
+import { encryptText } from "./encryption.js";
+import { recordRevision, listRevisions, getRevision, readContent } from "./noteRevisions.js";
+import { diffLines, DiffTooLargeError } from "./lineDiff.js";
+import { noteEtag, ifMatchSatisfied } from "./noteVersions.js";
+import { publishNoteEvent, NOTE_EVENTS } from "./realtime.js";
+import { noteAudience } from "./noteShares.js";
+
+// Mounted at /api/notes/:noteId/revisions
+const router = express.Router({ mergeParams: true });
+
+// Load the note from the URL, making sure it belongs to the current user and is not in the trash
+const findOwnNote = async (req) => {
+  const { data: note } = await supabase
+    .from("notes")
+    .select("*")
+    .eq("id", req.params.noteId)
+    .eq("user_id", req.user.id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  return note;
+};
+
+const isRevisionId = (value) => /^\d+$/.test(String(value));
+
+// List revisions of a note, newest first
+router.get("/", requireScope("notes:read"), async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const { page, limit } = req.query;
+    const result = await listRevisions(note.id, { page, limit });
+
+    res.json(result);
+  } catch (err) {
+    console.error("List revisions error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Line diff between two revisions (?from=<id>&to=<id>, "to" defaults to the current note)
+router.get("/diff", requireScope("notes:read"), async (req, res) => {
+  try {
+    const { from, to = "current" } = req.query;
+
+    if (!isRevisionId(from) || (to !== "current" && !isRevisionId(to))) {
+      return res.status(400).json({ error: "from must be a revision id and to a revision id or \"current\"" });
+    }
+
+    const note = await findOwnNote(req);
+
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const fromRevision = await getRevision(note.id, from);
+    const toRevision = to === "current"
+      ? { id: "current", title: note.title, content: readContent(note), created_at: note.updated_at }
+      : await getRevision(note.id, to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    let changes;
+    try {
+      changes = diffLines(fromRevision.content, toRevision.content);
+    } catch (diffError) {
+      if (diffError instanceof DiffTooLargeError) {
+        return res.status(413).json({ error: diffError.message });
+      }
+      throw diffError;
+    }
+
+    res.json({
+      from: { id: fromRevision.id, title: fromRevision.title, created_at: fromRevision.created_at },
+      to: { id: toRevision.id, title: toRevision.title, created_at: toRevision.created_at },
+      titleChanged: fromRevision.title !== toRevision.title,
+      stats: {
+        added: changes.filter(change => change.type === "added").length,
+        removed: changes.filter(change => change.type === "removed").length
+      },
+      changes
+    });
+  } catch (err) {
+    console.error("Diff revisions error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a single revision with its content
+router.get("/:revisionId", requireScope("notes:read"), async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+
+    if (!note || !isRevisionId(req.params.revisionId)) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const revision = await getRevision(note.id, req.params.revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json({ revision });
+  } catch (err) {
+    console.error("Get revision error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Make a revision the current version of the note (recorded as a new revision)
+router.post("/:revisionId/restore", requireScope("notes:write"), async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+
+    if (!note || !isRevisionId(req.params.revisionId)) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    if (!ifMatchSatisfied(req.get("If-Match"), note)) {
+      res.set("ETag", noteEtag(note));
+      return res.status(412).json({ error: "Note has been modified since you loaded it", currentVersion: note.version });
+    }
+
+    const revision = await getRevision(note.id, req.params.revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    // The note keeps its current encryption setting
+    const updateData = {
+      title: revision.title,
+      version: note.version + 1,
+      updated_at: new Date().toISOString()
+    };
+    if (note.is_encrypted) {
+      updateData.encrypted_content = encryptText(revision.content);
+      updateData.content = null;
+    } else {
+      updateData.content = revision.content;
+      updateData.encrypted_content = null;
+    }
+
+    const { data: restoredRows, error } = await supabase
+      .from("notes")
+      .update(updateData)
+      .eq("id", note.id)
+      .eq("user_id", req.user.id)
+      .eq("version", note.version)
+      .select();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (restoredRows.length === 0) {
+      return res.status(409).json({ error: "Note has been modified since you loaded it" });
+    }
+
+    const data = restoredRows[0];
+
+    await recordRevision(data, "restore", { previous: note, restoredFrom: revision.id });
+
+    const { encrypted_content, ...restored } = data;
+
+    await publishNoteEvent(req, NOTE_EVENTS.UPDATED, { id: data.id, version: data.version, updated_at: data.updated_at }, {
+      userIds: await noteAudience(data)
+    });
+
+    res.set("ETag", noteEtag(data));
+    res.json({
+      message: "Revision restored successfully",
+      note: { ...restored, content: readContent(data) }
+    });
+  } catch (err) {
+    console.error("Restore revision error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+import { supabase } from './database.js';
+
+// Full-text search runs in the search_notes() database function (notes-search-migration.sql).
+//
+// Encrypted notes: only titles are stored in plain text, so encrypted notes are
+// found by title only and never get a content snippet. Decrypting content into
+// the index (or searching it by decrypting every note per request) would defeat
+// encryption at rest, so neither is done.
+
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+
+// Markers search_notes() puts around matched words
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Note text is escaped first, so the <mark> tags are the only markup in a highlight
+const toHighlightHtml = (text) => {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+};
+
+// Ranked search over a user's notes. Any user input is safe: the query is
+// passed as a parameter and parsed by websearch_to_tsquery.
+export const searchNotes = async (userId, query, { page = 1, limit = 20 } = {}) => {
+  const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const offset = (parsedPage - 1) * parsedLimit;
+
+  const { data, error } = await supabase.rpc('search_notes', {
+    p_user_id: userId,
+    p_query: query,
+    p_limit: parsedLimit,
+    p_offset: offset
+  });
+
+  if (error) {
+    throw new Error('Failed to search notes');
+  }
+
+  const rows = data || [];
+  const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+
+  return {
+    results: rows.map(({ total_count, title_highlight, snippet, ...note }) => ({
+      ...note,
+      highlights: {
+        title: toHighlightHtml(title_highlight),
+        content: toHighlightHtml(snippet)
+      }
+    })),
+    pagination: {
+      page: parsedPage,
+      limit: parsedLimit,
+      total,
+      totalPages: Math.ceil(total / parsedLimit)
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { supabase } from './database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unguessable URL-safe link token (128 bits)
+export const generateShareLinkToken = () => {
+  return crypto.randomBytes(16).toString('base64url');
+};
+
+export const expiryFromDays = (expiresInDays) => {
+  return expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS).toISOString() : null;
+};
+
+// 'active', 'expired' or 'revoked'
+export const shareLinkStatus = (link) => {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+// Link as shown to its owner (the password hash never leaves the server)
+export const presentShareLink = ({ password_hash, ...link }) => ({
+  ...link,
+  has_password: !!password_hash,
+  status: shareLinkStatus(link),
+});
+
+export const hashShareLinkPassword = (password) => bcrypt.hash(password, 10);
+
+export const checkShareLinkPassword = (link, password) => {
+  return typeof password === 'string' && password.length > 0 && bcrypt.compare(password, link.password_hash);
+};
+
+// Create a link for a note. `token` lets the legacy is_public flow reuse notes.public_share_id.
+export const createShareLink = async (note, userId, { token, label, expiresInDays, password } = {}) => {
+  const { data, error } = await supabase
+    .from('note_share_links')
+    .insert([{
+      note_id: note.id,
+      created_by: userId,
+      token: token || generateShareLinkToken(),
+      label: label || null,
+      password_hash: password ? await hashShareLinkPassword(password) : null,
+      expires_at: expiryFromDays(expiresInDays),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error('Failed to create share link');
+  }
+  return data;
+};
+
+// Revoke every active link of a note (when it is made private)
+export const revokeShareLinks = async (noteId) => {
+  const { error } = await supabase
+    .from('note_share_links')
+    .update({ revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('note_id', noteId)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw new Error('Failed to revoke share links');
+  }
+};
+
+// Link behind a public token, or null
+export const findShareLink = async (token) => {
+  const { data: link } = await supabase
+    .from('note_share_links')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+  return link;
+};
+
+// Views are analytics only, so a failed count never blocks the viewer
+export const recordShareLinkView = async (link) => {
+  const { error } = await supabase.rpc('record_share_link_view', { link_id: link.id });
+  if (error) {
+    console.error(`Failed to record view for share link ${link.id}:`, error.message);
+  }
+};
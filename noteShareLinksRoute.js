@@ -0,0 +1,281 @@
+import express from "express";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { requireScope } from "./authmiddleware.js";
+import { findAccessibleNote } from "./noteShares.js";
+import {
+  createShareLink,
+  presentShareLink,
+  hashShareLinkPassword,
+  expiryFromDays,
+  generateShareLinkToken
+} from "./noteShareLinks.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
+
+// Mounted at /api/notes/:noteId/links
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const createLinkSchema = z.object({
+  label: z.string().max(100).optional(),
+  expiresInDays: z.number().positive().max(365).optional(),
+  password: z.string().min(4).max(72).optional()
+});
+
+// null clears the expiry / password
+const updateLinkSchema = z.object({
+  label: z.string().max(100).nullable().optional(),
+  expiresInDays: z.number().positive().max(365).nullable().optional(),
+  password: z.string().min(4).max(72).nullable().optional()
+});
+
+// Share links publish a note to anyone holding the URL, so only the owner manages them
+const findOwnedNote = async (req, res) => {
+  const access = await findAccessibleNote(req.params.noteId, req.user.id);
+
+  if (!access) {
+    res.status(404).json({ error: "Note not found" });
+    return null;
+  }
+  if (access.permission !== "owner") {
+    res.status(403).json({ error: "Only the owner can manage share links" });
+    return null;
+  }
+  return access.note;
+};
+
+// Turn on link sharing for the note; the first link also becomes its legacy public_share_id.
+// Returns false when the note was changed concurrently (nothing is updated then).
+const ensureNotePublic = async (req, note, token) => {
+  if (note.is_public && note.public_share_id) return true;
+
+  // Conditional on the version we read, so a concurrent save cannot end up with the same version
+  const { data, error } = await supabase
+    .from("notes")
+    .update({
+      is_public: true,
+      public_share_id: note.public_share_id || token,
+      published_at: note.published_at || new Date().toISOString(),
+      version: note.version + 1,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", note.id)
+    .eq("user_id", req.user.id)
+    .eq("version", note.version)
+    .select("id");
+
+  if (error) {
+    throw new Error("Failed to make note public");
+  }
+
+  if (data.length === 0) {
+    return false;
+  }
+
+  if (!note.is_public) {
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_MADE_PUBLIC, { metadata: { noteId: note.id } });
+  }
+  return true;
+};
+
+// notes.public_share_id mirrors the note's default link for older clients; keep it pointing at a live token
+const syncLegacyShareId = async (note, oldToken, newToken) => {
+  if (note.public_share_id !== oldToken) return;
+
+  await supabase
+    .from("notes")
+    .update({ public_share_id: newToken })
+    .eq("id", note.id)
+    .eq("public_share_id", oldToken);
+};
+
+const findActiveLink = async (note, linkId) => {
+  const { data: link } = await supabase
+    .from("note_share_links")
+    .select("id, token")
+    .eq("id", linkId)
+    .eq("note_id", note.id)
+    .is("revoked_at", null)
+    .maybeSingle();
+  return link;
+};
+
+// List the note's share links with their view counts
+router.get("/", requireScope("notes:read"), async (req, res) => {
+  try {
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const { data: links, error } = await supabase
+      .from("note_share_links")
+      .select("*")
+      .eq("note_id", note.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ links: links.map(presentShareLink) });
+  } catch (err) {
+    console.error("List share links error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a share link (optionally expiring and/or password protected)
+router.post("/", requireScope("notes:write"), async (req, res) => {
+  try {
+    const options = createLinkSchema.parse(req.body);
+
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const token = generateShareLinkToken();
+    if (!(await ensureNotePublic(req, note, token))) {
+      return res.status(409).json({ error: "Note has been modified since you loaded it" });
+    }
+
+    const link = await createShareLink(note, req.user.id, { ...options, token });
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARE_LINK_CREATED, {
+      metadata: { noteId: note.id, linkId: link.id, hasPassword: !!options.password, expiresAt: link.expires_at }
+    });
+
+    res.status(201).json({ message: "Share link created successfully", link: presentShareLink(link) });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Create share link error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a link's label, expiry or password
+router.patch("/:linkId", requireScope("notes:write"), async (req, res) => {
+  try {
+    const { label, expiresInDays, password } = updateLinkSchema.parse(req.body);
+
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (label !== undefined) {
+      updateData.label = label;
+    }
+    if (expiresInDays !== undefined) {
+      updateData.expires_at = expiryFromDays(expiresInDays);
+    }
+    if (password !== undefined) {
+      updateData.password_hash = password ? await hashShareLinkPassword(password) : null;
+    }
+
+    const { data, error } = await supabase
+      .from("note_share_links")
+      .update(updateData)
+      .eq("id", req.params.linkId)
+      .eq("note_id", note.id)
+      .is("revoked_at", null)
+      .select();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    res.json({ message: "Share link updated successfully", link: presentShareLink(data[0]) });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Update share link error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replace a link's token: the old URL stops working, settings and view counts are kept
+router.post("/:linkId/regenerate", requireScope("notes:write"), async (req, res) => {
+  try {
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const link = await findActiveLink(note, req.params.linkId);
+
+    if (!link) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    const { data, error } = await supabase
+      .from("note_share_links")
+      .update({ token: generateShareLinkToken(), updated_at: new Date().toISOString() })
+      .eq("id", link.id)
+      .eq("token", link.token)
+      .select();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    await syncLegacyShareId(note, link.token, data[0].token);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARE_LINK_REGENERATED, {
+      metadata: { noteId: note.id, linkId: data[0].id }
+    });
+
+    res.json({ message: "Share link regenerated successfully", link: presentShareLink(data[0]) });
+  } catch (err) {
+    console.error("Regenerate share link error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke a link (it stays listed, with its view counts, as revoked)
+router.delete("/:linkId", requireScope("notes:write"), async (req, res) => {
+  try {
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const link = await findActiveLink(note, req.params.linkId);
+
+    if (!link) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    const { data, error } = await supabase
+      .from("note_share_links")
+      .update({ revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", link.id)
+      .is("revoked_at", null)
+      .select("id");
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    await syncLegacyShareId(note, link.token, null);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARE_LINK_REVOKED, {
+      metadata: { noteId: note.id, linkId: data[0].id }
+    });
+
+    res.json({ message: "Share link revoked successfully" });
+  } catch (err) {
+    console.error("Revoke share link error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import { supabase } from './database.js';
+
+export const SHARE_PERMISSIONS = ['read', 'write', 'admin'];
+
+// 'owner' is implied by notes.user_id and ranks above every share permission.
+// read: view, write: also edit, admin: also manage who the note is shared with.
+const PERMISSION_RANK = { read: 1, write: 2, admin: 3, owner: 4 };
+
+export const hasPermission = (granted, required) => {
+  return (PERMISSION_RANK[granted] || 0) >= PERMISSION_RANK[required];
+};
+
+// Load a note (not in the trash) with the user's access level: 'owner' or the
+// share permission. Returns null when the note does not exist or is not shared
+// with the user, so callers answer 404 either way.
+export const findAccessibleNote = async (noteId, userId) => {
+  const { data: note } = await supabase
+    .from('notes')
+    .select('*')
+    .eq('id', noteId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!note) return null;
+  if (note.user_id === userId) return { note, permission: 'owner' };
+
+  const { data: share } = await supabase
+    .from('note_shares')
+    .select('permission')
+    .eq('note_id', note.id)
+    .eq('shared_with_user_id', userId)
+    .maybeSingle();
+
+  return share ? { note, permission: share.permission } : null;
+};
+
+// Ids of everyone who can see a note: its owner and all collaborators
+export const noteAudience = async (note) => {
+  const { data } = await supabase
+    .from('note_shares')
+    .select('shared_with_user_id')
+    .eq('note_id', note.id);
+  return [note.user_id, ...(data || []).map(share => share.shared_with_user_id)];
+};
+
+// noteAudience for several notes of one owner
+export const notesAudience = async (ownerId, noteIds) => {
+  if (noteIds.length === 0) return [ownerId];
+
+  const { data } = await supabase
+    .from('note_shares')
+    .select('shared_with_user_id')
+    .in('note_id', noteIds);
+  return [ownerId, ...(data || []).map(share => share.shared_with_user_id)];
+};
+
+const usersById = async (ids) => {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+
+  const { data } = await supabase
+    .from('users')
+    .select('id, name, email')
+    .in('id', unique);
+  return new Map((data || []).map(user => [user.id, user]));
+};
+
+// Collaborators of a note with the user each share is for, oldest first
+export const listCollaborators = async (noteId) => {
+  const { data: shares, error } = await supabase
+    .from('note_shares')
+    .select('id, shared_with_user_id, permission, invited_by, created_at, updated_at')
+    .eq('note_id', noteId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error('Failed to load collaborators');
+  }
+
+  const users = await usersById(shares.map(share => share.shared_with_user_id));
+  return shares.map(share => ({ ...share, user: users.get(share.shared_with_user_id) || null }));
+};
+
+// Notes other users have shared with this user, most recently shared first
+export const listSharedWithUser = async (userId, { page = 1, limit = 20 } = {}) => {
+  const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const offset = (parsedPage - 1) * parsedLimit;
+
+  const { data, count, error } = await supabase
+    .from('note_shares')
+    .select('id, permission, created_at, notes!inner(id, user_id, title, tags, is_encrypted, is_draft, version, created_at, updated_at, deleted_at)', { count: 'exact' })
+    .eq('shared_with_user_id', userId)
+    .is('notes.deleted_at', null)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + parsedLimit - 1);
+
+  if (error) {
+    throw new Error('Failed to load shared notes');
+  }
+
+  const owners = await usersById(data.map(share => share.notes.user_id));
+
+  return {
+    notes: data.map(({ notes: { deleted_at, ...note }, ...share }) => ({
+      ...note,
+      permission: share.permission,
+      shared_at: share.created_at,
+      owner: owners.get(note.user_id) || null
+    })),
+    pagination: {
+      page: parsedPage,
+      limit: parsedLimit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / parsedLimit)
+    }
+  };
+};
@@ -0,0 +1,219 @@
+import express from "express";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { requireScope } from "./authmiddleware.js";
+import { findAccessibleNote, hasPermission, listCollaborators, SHARE_PERMISSIONS } from "./noteShares.js";
+import { sendNoteSharedEmail } from "./emailService.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
+import { publishNoteEvent, NOTE_EVENTS } from "./realtime.js";
+
+// Mounted at /api/notes/:noteId/shares
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const createShareSchema = z.object({
+  email: z.string().email(),
+  permission: z.enum(SHARE_PERMISSIONS).optional()
+});
+
+const updateShareSchema = z.object({
+  permission: z.enum(SHARE_PERMISSIONS)
+});
+
+// Sharing answers the same whether or not the email has an account, so it
+// cannot be used to find out who is registered
+const SHARE_SENT_MESSAGE = "If an account exists for this email, the note has been shared with it";
+
+const findShare = async (noteId, shareId) => {
+  const { data: share } = await supabase
+    .from("note_shares")
+    .select("*")
+    .eq("id", shareId)
+    .eq("note_id", noteId)
+    .maybeSingle();
+  return share;
+};
+
+// List collaborators of a note (visible to everyone with access)
+router.get("/", requireScope("notes:read"), async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.params.noteId, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const collaborators = await listCollaborators(access.note.id);
+
+    res.json({ ownerId: access.note.user_id, permission: access.permission, collaborators });
+  } catch (err) {
+    console.error("List note shares error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Share a note with another user by email
+router.post("/", requireScope("notes:write"), async (req, res) => {
+  try {
+    const { email, permission = "read" } = createShareSchema.parse(req.body);
+    const access = await findAccessibleNote(req.params.noteId, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    if (!hasPermission(access.permission, "admin")) {
+      return res.status(403).json({ error: "You do not have permission to share this note" });
+    }
+
+    const { note } = access;
+
+    const { data: recipient } = await supabase
+      .from("users")
+      .select("id, email, locale, disabled_at")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (!recipient || recipient.disabled_at) {
+      return res.status(202).json({ message: SHARE_SENT_MESSAGE });
+    }
+
+    if (recipient.id === note.user_id) {
+      return res.status(400).json({ error: "The note already belongs to this user" });
+    }
+
+    const { error } = await supabase
+      .from("note_shares")
+      .insert([{
+        note_id: note.id,
+        shared_with_user_id: recipient.id,
+        permission,
+        invited_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: "Note is already shared with this user" });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { data: sharer } = await supabase
+      .from("users")
+      .select("name, email")
+      .eq("id", req.user.id)
+      .single();
+
+    try {
+      await sendNoteSharedEmail(recipient.email, {
+        sharedBy: sharer?.name || sharer?.email || "Someone",
+        noteId: note.id,
+        noteTitle: note.title,
+        permission
+      }, recipient.locale);
+    } catch (emailError) {
+      console.error("Note share email failed:", emailError);
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARED, {
+      metadata: { noteId: note.id, sharedWithUserId: recipient.id, permission }
+    });
+    await publishNoteEvent(req, NOTE_EVENTS.SHARED, { id: note.id, permission }, { userIds: [recipient.id] });
+
+    res.status(202).json({ message: SHARE_SENT_MESSAGE });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Share note error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a collaborator's permission
+router.patch("/:shareId", requireScope("notes:write"), async (req, res) => {
+  try {
+    const { permission } = updateShareSchema.parse(req.body);
+    const access = await findAccessibleNote(req.params.noteId, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    if (!hasPermission(access.permission, "admin")) {
+      return res.status(403).json({ error: "You do not have permission to manage sharing for this note" });
+    }
+
+    const { data, error } = await supabase
+      .from("note_shares")
+      .update({ permission, updated_at: new Date().toISOString() })
+      .eq("id", req.params.shareId)
+      .eq("note_id", access.note.id)
+      .select();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Share not found" });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARE_UPDATED, {
+      metadata: { noteId: access.note.id, sharedWithUserId: data[0].shared_with_user_id, permission }
+    });
+    await publishNoteEvent(req, NOTE_EVENTS.SHARED, { id: access.note.id, permission }, { userIds: [data[0].shared_with_user_id] });
+
+    res.json({ message: "Permission updated successfully", share: data[0] });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Update note share error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke access (collaborators may also remove their own share to leave a note)
+router.delete("/:shareId", requireScope("notes:write"), async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.params.noteId, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const share = await findShare(access.note.id, req.params.shareId);
+
+    if (!share) {
+      return res.status(404).json({ error: "Share not found" });
+    }
+
+    if (share.shared_with_user_id !== req.user.id && !hasPermission(access.permission, "admin")) {
+      return res.status(403).json({ error: "You do not have permission to manage sharing for this note" });
+    }
+
+    const { error } = await supabase
+      .from("note_shares")
+      .delete()
+      .eq("id", share.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.NOTE_SHARE_REVOKED, {
+      metadata: { noteId: access.note.id, sharedWithUserId: share.shared_with_user_id }
+    });
+    await publishNoteEvent(req, NOTE_EVENTS.UNSHARED, { id: access.note.id }, { userIds: [share.shared_with_user_id] });
+
+    res.json({ message: "Access revoked successfully" });
+  } catch (err) {
+    console.error("Revoke note share error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+import { supabase } from './database.js';
+
+// Notes stay in the trash this many days before they are deleted for good
+export const TRASH_RETENTION_DAYS = parseInt(process.env.NOTE_TRASH_RETENTION_DAYS || '30', 10);
+
+// When a note trashed at `deletedAt` will be purged
+export const trashPurgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Permanently delete notes that have been in the trash longer than the retention period
+export const purgeTrashedNotes = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('notes')
+    .delete()
+    .not('deleted_at', 'is', null)
+    .lte('deleted_at', cutoff)
+    .select('id');
+
+  if (error) throw error;
+  if (data.length > 0) {
+    console.log(`Purged ${data.length} trashed note(s)`);
+  }
+  return data.length;
+};
@@ -0,0 +1,24 @@
+// Notes carry a version number that is exposed as a strong ETag ("<version>")
+export const noteEtag = (note) => `"${note.version}"`;
+
+// Entity tags listed in an If-Match / If-None-Match header ('*' stays as is)
+const parseEtags = (header) => {
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+// If-Match uses strong comparison, so weak tags (W/"...") never match
+export const ifMatchSatisfied = (header, note) => {
+  if (!header) return true;
+  const tags = parseEtags(header);
+  return tags.includes('*') || tags.includes(noteEtag(note));
+};
+
+// If-None-Match uses weak comparison
+export const ifNoneMatchHit = (header, note) => {
+  if (!header) return false;
+  const tags = parseEtags(header).map(tag => tag.replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(noteEtag(note));
+};
@@ -0,0 +1,55 @@
+-- Full-text search for notes
+-- Titles weigh more (A) than content (B). Encrypted notes keep content NULL,
+-- so only their titles are indexed: the encrypted text is never decrypted into the index.
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(content, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search_vector ON notes USING GIN (search_vector);
+
+-- Ranked search over a user's notes (not in the trash).
+-- websearch_to_tsquery accepts "quoted phrases", OR and -exclusions and never
+-- fails on malformed input. Matches in highlights are wrapped in chr(1)/chr(2)
+-- so the caller can HTML-escape the note text before adding its own markup.
+CREATE OR REPLACE FUNCTION search_notes(p_user_id INTEGER, p_query TEXT, p_limit INTEGER DEFAULT 20, p_offset INTEGER DEFAULT 0)
+RETURNS TABLE (
+  id INTEGER,
+  title VARCHAR,
+  is_encrypted BOOLEAN,
+  is_draft BOOLEAN,
+  is_public BOOLEAN,
+  tags TEXT[],
+  created_at TIMESTAMP,
+  updated_at TIMESTAMP,
+  rank REAL,
+  title_highlight TEXT,
+  snippet TEXT,
+  total_count BIGINT
+) AS $$
+  WITH search AS (
+    SELECT websearch_to_tsquery('english', p_query) AS query
+  ),
+  matches AS (
+    SELECT n.*, ts_rank(n.search_vector, search.query) AS rank, search.query,
+           COUNT(*) OVER () AS total_count
+    FROM notes n, search
+    WHERE n.user_id = p_user_id
+      AND n.deleted_at IS NULL
+      AND n.search_vector @@ search.query
+    ORDER BY rank DESC, n.updated_at DESC, n.id DESC
+    LIMIT p_limit OFFSET p_offset
+  )
+  -- Highlights are built for the requested page only
+  SELECT m.id, m.title, m.is_encrypted, m.is_draft, m.is_public, m.tags, m.created_at, m.updated_at, m.rank,
+         ts_headline('english', m.title, m.query,
+           'HighlightAll=true, StartSel=' || chr(1) || ', StopSel=' || chr(2)),
+         CASE WHEN m.is_encrypted THEN NULL
+              ELSE ts_headline('english', coalesce(m.content, ''), m.query,
+                'MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" ... ", StartSel=' || chr(1) || ', StopSel=' || chr(2))
+         END,
+         m.total_count
+  FROM matches m
+  ORDER BY m.rank DESC, m.updated_at DESC, m.id DESC;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,5 @@
+-- Soft delete for notes: deleted notes stay in the trash until restored or purged
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP; -- NULL for live notes
+
+CREATE INDEX IF NOT EXISTS idx_notes_user_deleted_at ON notes(user_id, deleted_at);
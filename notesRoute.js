@@ -1,8 +1,27 @@
 import express from "express";
 import { z } from "zod";
 import { supabase } from "./database.js";
-import { authenticationtoken } from "./authmiddleware.js";
-import { encryptText, decryptText, generateShareId } from "./encryption.js";
+import { requireScope } from "./authmiddleware.js";
+import { encryptText, decryptText } from "./encryption.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
+import { recordRevision, readContent } from "./noteRevisions.js";
+import { noteEtag, ifMatchSatisfied, ifNoneMatchHit } from "./noteVersions.js";
+import { publishNoteEvent, NOTE_EVENTS } from "./realtime.js";
+import { findAccessibleNote, hasPermission, noteAudience, notesAudience, listSharedWithUser } from "./noteShares.js";
+import {
+  generateShareLinkToken,
+  createShareLink,
+  revokeShareLinks,
+  findShareLink,
+  shareLinkStatus,
+  checkShareLinkPassword,
+  recordShareLinkView
+} from "./noteShareLinks.js";
+import { shareLinkLimits } from "./rateLimiter.js";
+import { searchNotes, SEARCH_QUERY_MAX_LENGTH } from "./noteSearch.js";
+import { filtersFromParams, resolveNoteIds, applyNoteFilters, describeFilters } from "./noteFilters.js";
+import { parseNoteQuery, QueryParseError } from "./noteQueryParser.js";
+import { trashPurgeDate, TRASH_RETENTION_DAYS } from "./noteTrash.js";
 
 const router = express.Router();
 
@@ -25,32 +44,59 @@ const updateNoteSchema = z.object({
   is_draft: z.boolean().optional()
 });
 
+// Reply to a stale write with the server's current version so the client can merge.
+// 412: the If-Match version was already outdated; 409: another write won the race.
+const sendVersionConflict = async (res, status, noteId, ownerId) => {
+  const { data: current } = await supabase
+    .from("notes")
+    .select("*")
+    .eq("id", noteId)
+    .eq("user_id", ownerId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (!current) {
+    return res.status(404).json({ error: "Note not found" });
+  }
+
+  const { encrypted_content, ...note } = current;
+
+  res.set("ETag", noteEtag(current));
+  res.status(status).json({
+    error: "Note has been modified since you loaded it",
+    currentVersion: current.version,
+    note: { ...note, content: readContent(current) }
+  });
+};
+
 // Get all notes for authenticated user with advanced filtering and sorting
-router.get("/", authenticationtoken, async (req, res) => {
+router.get("/", requireScope("notes:read"), async (req, res) => {
   try {
+    // search, tag, draft_only, visibility, label_id, category_id, date_from and date_to are read by filtersFromParams
     const { 
       page = 1, 
       limit = 20, 
-      search, 
-      tag, 
-      draft_only, 
+      q,
       sort_by = 'updated_at', 
       sort_order = 'desc',
-      visibility,
-      label_id,
-      category_id,
-      date_from,
-      date_to,
       infinite_scroll = false
     } = req.query;
     
     const offset = (page - 1) * limit;
     const parsedLimit = Math.min(parseInt(limit), 100); // Cap at 100 for performance
 
+    // The separate filter params and the q= query language feed the same filters
+    const filters = filtersFromParams(req.query);
+    if (q) {
+      parseNoteQuery(q, filters);
+    }
+    const noteIds = await resolveNoteIds(req.user.id, filters);
+
     let query = supabase
       .from("notes")
       .select("id, title, content, encrypted_content, is_encrypted, is_draft, is_public, tags, created_at, updated_at, published_at, auto_saved_at")
-      .eq("user_id", req.user.id);
+      .eq("user_id", req.user.id)
+      .is("deleted_at", null);
 
     // Enhanced Sorting with multiple fields
     const validSortFields = ['created_at', 'updated_at', 'title', 'published_at', 'auto_saved_at'];
@@ -65,75 +111,19 @@ router.get("/", authenticationtoken, async (req, res) => {
       query = query.order('id', { ascending: false });
     }
 
-    // Filter by draft status
-    if (draft_only === 'true') {
-      query = query.eq("is_draft", true);
-    } else if (draft_only === 'false') {
-      query = query.eq("is_draft", false);
-    }
-
-    // Filter by visibility
-    if (visibility === 'public') {
-      query = query.eq("is_public", true);
-    } else if (visibility === 'private') {
-      query = query.eq("is_public", false);
-    } else if (visibility === 'encrypted') {
-      query = query.eq("is_encrypted", true);
-    }
-
-    // Search functionality
-    if (search) {
-      query = query.or(`title.ilike.%${search}%, content.ilike.%${search}%`);
-    }
-
-    // Filter by tag
-    if (tag) {
-      query = query.contains("tags", [tag]);
-    }
-
-    // Date range filtering
-    if (date_from) {
-      query = query.gte('created_at', date_from);
-    }
-    if (date_to) {
-      query = query.lte('created_at', date_to);
-    }
-
-    // Label and category filtering (requires joins)
-    if (label_id) {
-      // This would require a more complex query with joins
-      // For now, we'll handle this in the notes-with-labels endpoint
-    }
-    if (category_id) {
-      // This would require a more complex query with joins
-      // For now, we'll handle this in the notes-with-labels endpoint
-    }
+    // Search, tag, draft, visibility, date, label and category filters
+    query = applyNoteFilters(query, filters, noteIds);
 
     // Get total count for pagination
-    const countQuery = supabase
-      .from("notes")
-      .select("id", { count: 'exact', head: true })
-      .eq("user_id", req.user.id);
-
-    // Apply same filters to count query
-    if (draft_only === 'true') {
-      countQuery.eq("is_draft", true);
-    } else if (draft_only === 'false') {
-      countQuery.eq("is_draft", false);
-    }
-    if (visibility === 'public') {
-      countQuery.eq("is_public", true);
-    } else if (visibility === 'private') {
-      countQuery.eq("is_public", false);
-    } else if (visibility === 'encrypted') {
-      countQuery.eq("is_encrypted", true);
-    }
-    if (search) {
-      countQuery.or(`title.ilike.%${search}%, content.ilike.%${search}%`);
-    }
-    if (tag) {
-      countQuery.contains("tags", [tag]);
-    }
+    const countQuery = applyNoteFilters(
+      supabase
+        .from("notes")
+        .select("id", { count: 'exact', head: true })
+        .eq("user_id", req.user.id)
+        .is("deleted_at", null),
+      filters,
+      noteIds
+    );
 
     // Pagination with performance optimization
     query = query.range(offset, offset + parsedLimit - 1);
@@ -175,39 +165,150 @@ router.get("/", authenticationtoken, async (req, res) => {
       },
       meta: {
         query_time: Date.now(),
+        // Which of the individual filter params were used, as before q= existed
         filters_applied: {
-          search: !!search,
-          tag: !!tag,
-          draft_only: draft_only !== undefined,
-          visibility: !!visibility,
-          date_range: !!(date_from || date_to)
-        }
+          search: !!req.query.search,
+          tag: !!req.query.tag,
+          draft_only: req.query.draft_only !== undefined,
+          visibility: !!req.query.visibility,
+          date_range: !!(req.query.date_from || req.query.date_to)
+        },
+        // Every filter in effect, from the params and q= combined
+        query: describeFilters(filters)
       }
     };
 
     res.json(response);
   } catch (err) {
+    if (err instanceof QueryParseError) {
+      return res.status(400).json({ error: err.message, position: err.position });
+    }
     console.error("Get notes error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get single note by ID
-router.get("/:id", authenticationtoken, async (req, res) => {
+// List notes in the trash, most recently deleted first
+router.get("/trash", requireScope("notes:read"), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+    const parsedPage = Math.max(parseInt(page) || 1, 1);
+    const offset = (parsedPage - 1) * parsedLimit;
 
-    const { data: note, error } = await supabase
+    const { data: notes, count, error } = await supabase
       .from("notes")
-      .select("*")
-      .eq("id", id)
+      .select("id, title, is_encrypted, is_draft, is_public, tags, created_at, updated_at, deleted_at", { count: 'exact' })
       .eq("user_id", req.user.id)
-      .single();
+      .not("deleted_at", "is", null)
+      .order("deleted_at", { ascending: false })
+      .range(offset, offset + parsedLimit - 1);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    if (error || !note) {
+    res.json({
+      notes: notes.map(note => ({ ...note, purge_at: trashPurgeDate(note.deleted_at) })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page: parsedPage,
+        limit: parsedLimit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / parsedLimit)
+      }
+    });
+  } catch (err) {
+    console.error("Get trash error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Empty the trash (permanently deletes every trashed note)
+router.delete("/trash", requireScope("notes:write"), async (req, res) => {
+  try {
+    // Collaborators lose their shares with the notes, so find them first
+    const { data: trashed } = await supabase
+      .from("notes")
+      .select("id")
+      .eq("user_id", req.user.id)
+      .not("deleted_at", "is", null);
+    const audience = await notesAudience(req.user.id, (trashed || []).map(note => note.id));
+
+    const { data, error } = await supabase
+      .from("notes")
+      .delete()
+      .eq("user_id", req.user.id)
+      .not("deleted_at", "is", null)
+      .select("id");
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length > 0) {
+      await publishNoteEvent(req, NOTE_EVENTS.DELETED, { ids: data.map(note => note.id) }, { userIds: audience });
+    }
+
+    res.json({ message: "Trash emptied successfully", deleted: data.length });
+  } catch (err) {
+    console.error("Empty trash error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Full-text search with relevance ranking and highlighted snippets
+router.get("/search", requireScope("notes:read"), async (req, res) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+    const term = typeof q === "string" ? q.trim() : "";
+
+    if (!term) {
+      return res.status(400).json({ error: "Search query (q) is required" });
+    }
+    if (term.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({ error: `Search query must be at most ${SEARCH_QUERY_MAX_LENGTH} characters` });
+    }
+
+    res.json({ query: term, ...(await searchNotes(req.user.id, term, { page, limit })) });
+  } catch (err) {
+    console.error("Search notes error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Notes other users have shared with the authenticated user
+router.get("/shared-with-me", requireScope("notes:read"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    res.json(await listSharedWithUser(req.user.id, { page, limit }));
+  } catch (err) {
+    console.error("Get shared notes error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get single note by ID (own notes and notes shared with the user)
+router.get("/:id", requireScope("notes:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await findAccessibleNote(id, req.user.id);
+
+    if (!access) {
       return res.status(404).json({ error: "Note not found" });
     }
 
+    const { note } = access;
+
+    res.set("ETag", noteEtag(note));
+
+    if (ifNoneMatchHit(req.get("If-None-Match"), note)) {
+      return res.status(304).end();
+    }
+
     // Decrypt if encrypted
     if (note.is_encrypted && note.encrypted_content) {
       try {
@@ -219,7 +320,7 @@ router.get("/:id", authenticationtoken, async (req, res) => {
       }
     }
 
-    res.json({ note });
+    res.json({ note, permission: access.permission });
   } catch (err) {
     console.error("Get note error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -227,7 +328,7 @@ router.get("/:id", authenticationtoken, async (req, res) => {
 });
 
 // Create new note
-router.post("/", authenticationtoken, async (req, res) => {
+router.post("/", requireScope("notes:write"), async (req, res) => {
   try {
     const validatedData = createNoteSchema.parse(req.body);
     const { title, content = "", tags = [], is_encrypted = false, is_public = false, is_draft = true } = validatedData;
@@ -251,9 +352,9 @@ router.post("/", authenticationtoken, async (req, res) => {
       noteData.content = content;
     }
 
-    // Generate public share ID if public
+    // Public notes start with one share link (its token doubles as public_share_id)
     if (is_public) {
-      noteData.public_share_id = generateShareId();
+      noteData.public_share_id = generateShareLinkToken();
       noteData.published_at = new Date().toISOString();
     }
 
@@ -272,19 +373,32 @@ router.post("/", authenticationtoken, async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await recordRevision(data, "create");
+
+    if (data.is_public) {
+      await createShareLink(data, req.user.id, { token: data.public_share_id });
+      await recordAuditEvent(req, AUDIT_EVENTS.NOTE_MADE_PUBLIC, { metadata: { noteId: data.id } });
+    }
+    if (data.is_encrypted) {
+      await recordAuditEvent(req, AUDIT_EVENTS.NOTE_ENCRYPTED, { metadata: { noteId: data.id } });
+    }
+
     // Return decrypted content for response
     if (data.is_encrypted && data.encrypted_content) {
       data.content = content; // We already have the original content
       delete data.encrypted_content;
     }
 
+    await publishNoteEvent(req, NOTE_EVENTS.CREATED, { id: data.id, version: data.version, updated_at: data.updated_at });
+
+    res.set("ETag", noteEtag(data));
     res.status(201).json({ 
       message: "Note created successfully", 
       note: data 
     });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Create note error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -292,25 +406,36 @@ router.post("/", authenticationtoken, async (req, res) => {
 });
 
 // Update note
-router.put("/:id", authenticationtoken, async (req, res) => {
+router.put("/:id", requireScope("notes:write"), async (req, res) => {
   try {
     const { id } = req.params;
     const validatedData = updateNoteSchema.parse(req.body);
 
-    // Check if note exists and belongs to user
-    const { data: existingNote, error: fetchError } = await supabase
-      .from("notes")
-      .select("*")
-      .eq("id", id)
-      .eq("user_id", req.user.id)
-      .single();
+    // Owners and collaborators with write access may edit
+    const access = await findAccessibleNote(id, req.user.id);
 
-    if (fetchError || !existingNote) {
+    if (!access) {
       return res.status(404).json({ error: "Note not found" });
     }
 
+    if (!hasPermission(access.permission, "write")) {
+      return res.status(403).json({ error: "You have read-only access to this note" });
+    }
+
+    // Publishing a note to anyone with the link stays with the owner
+    if (validatedData.is_public !== undefined && access.permission !== "owner") {
+      return res.status(403).json({ error: "Only the owner can change public sharing" });
+    }
+
+    const existingNote = access.note;
+
+    if (!ifMatchSatisfied(req.get("If-Match"), existingNote)) {
+      return sendVersionConflict(res, 412, id, existingNote.user_id);
+    }
+
     let updateData = {
       ...validatedData,
+      version: existingNote.version + 1,
       updated_at: new Date().toISOString()
     };
 
@@ -329,7 +454,7 @@ router.put("/:id", authenticationtoken, async (req, res) => {
 
     // Handle public sharing
     if (validatedData.is_public === true && !existingNote.public_share_id) {
-      updateData.public_share_id = generateShareId();
+      updateData.public_share_id = generateShareLinkToken();
     } else if (validatedData.is_public === false) {
       updateData.public_share_id = null;
     }
@@ -339,18 +464,41 @@ router.put("/:id", authenticationtoken, async (req, res) => {
       updateData.published_at = new Date().toISOString();
     }
 
-    const { data, error } = await supabase
+    // Conditional on the version we read, so a concurrent save cannot be overwritten
+    const { data: updated, error } = await supabase
       .from("notes")
       .update(updateData)
       .eq("id", id)
-      .eq("user_id", req.user.id)
-      .select()
-      .single();
+      .eq("user_id", existingNote.user_id)
+      .eq("version", existingNote.version)
+      .select();
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
+    if (updated.length === 0) {
+      return sendVersionConflict(res, 409, id, existingNote.user_id);
+    }
+
+    const data = updated[0];
+
+    await recordRevision(data, "update", { previous: existingNote });
+
+    // A newly public note gets its first share link; making it private revokes them all
+    if (updateData.public_share_id) {
+      await createShareLink(data, req.user.id, { token: updateData.public_share_id });
+    } else if (validatedData.is_public === false) {
+      await revokeShareLinks(data.id);
+    }
+
+    if (data.is_public && !existingNote.is_public) {
+      await recordAuditEvent(req, AUDIT_EVENTS.NOTE_MADE_PUBLIC, { metadata: { noteId: data.id } });
+    }
+    if (data.is_encrypted && !existingNote.is_encrypted) {
+      await recordAuditEvent(req, AUDIT_EVENTS.NOTE_ENCRYPTED, { metadata: { noteId: data.id } });
+    }
+
     // Return decrypted content for response
     if (data.is_encrypted && data.encrypted_content) {
       try {
@@ -361,13 +509,18 @@ router.put("/:id", authenticationtoken, async (req, res) => {
       }
     }
 
+    await publishNoteEvent(req, NOTE_EVENTS.UPDATED, { id: data.id, version: data.version, updated_at: data.updated_at }, {
+      userIds: await noteAudience(data)
+    });
+
+    res.set("ETag", noteEtag(data));
     res.json({ 
       message: "Note updated successfully", 
       note: data 
     });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Update note error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -375,24 +528,29 @@ router.put("/:id", authenticationtoken, async (req, res) => {
 });
 
 // Auto-save note (for drafts)
-router.patch("/:id/autosave", authenticationtoken, async (req, res) => {
+router.patch("/:id/autosave", requireScope("notes:write"), async (req, res) => {
   try {
     const { id } = req.params;
     const { content, title } = req.body;
 
-    // Check if note exists and belongs to user
-    const { data: existingNote, error: fetchError } = await supabase
-      .from("notes")
-      .select("is_encrypted")
-      .eq("id", id)
-      .eq("user_id", req.user.id)
-      .single();
+    const access = await findAccessibleNote(id, req.user.id);
 
-    if (fetchError || !existingNote) {
+    if (!access) {
       return res.status(404).json({ error: "Note not found" });
     }
 
+    if (!hasPermission(access.permission, "write")) {
+      return res.status(403).json({ error: "You have read-only access to this note" });
+    }
+
+    const existingNote = access.note;
+
+    if (!ifMatchSatisfied(req.get("If-Match"), existingNote)) {
+      return sendVersionConflict(res, 412, id, existingNote.user_id);
+    }
+
     let updateData = {
+      version: existingNote.version + 1,
       auto_saved_at: new Date().toISOString()
     };
 
@@ -409,19 +567,33 @@ router.patch("/:id/autosave", authenticationtoken, async (req, res) => {
       }
     }
 
-    const { error } = await supabase
+    const { data: saved, error } = await supabase
       .from("notes")
       .update(updateData)
       .eq("id", id)
-      .eq("user_id", req.user.id);
+      .eq("user_id", existingNote.user_id)
+      .eq("version", existingNote.version)
+      .select();
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
+    if (saved.length === 0) {
+      return sendVersionConflict(res, 409, id, existingNote.user_id);
+    }
+
+    await recordRevision(saved[0], "autosave", { previous: existingNote });
+
+    await publishNoteEvent(req, NOTE_EVENTS.AUTOSAVED, { id: saved[0].id, version: saved[0].version, auto_saved_at: updateData.auto_saved_at }, {
+      userIds: await noteAudience(saved[0])
+    });
+
+    res.set("ETag", noteEtag(saved[0]));
     res.json({ 
       message: "Note auto-saved successfully",
-      auto_saved_at: updateData.auto_saved_at
+      auto_saved_at: updateData.auto_saved_at,
+      version: saved[0].version
     });
   } catch (err) {
     console.error("Auto-save error:", err);
@@ -429,17 +601,19 @@ router.patch("/:id/autosave", authenticationtoken, async (req, res) => {
   }
 });
 
-// Delete note
-router.delete("/:id", authenticationtoken, async (req, res) => {
+// Delete note (moves it to the trash; labels and categories are kept for a restore)
+router.delete("/:id", requireScope("notes:write"), async (req, res) => {
   try {
     const { id } = req.params;
+    const deletedAt = new Date().toISOString();
 
     const { data, error } = await supabase
       .from("notes")
-      .delete()
+      .update({ deleted_at: deletedAt })
       .eq("id", id)
       .eq("user_id", req.user.id)
-      .select();
+      .is("deleted_at", null)
+      .select("id, user_id");
 
     if (error) {
       return res.status(400).json({ error: error.message });
@@ -449,66 +623,177 @@ router.delete("/:id", authenticationtoken, async (req, res) => {
       return res.status(404).json({ error: "Note not found" });
     }
 
-    res.json({ message: "Note deleted successfully" });
+    await publishNoteEvent(req, NOTE_EVENTS.TRASHED, { id: data[0].id, deleted_at: deletedAt }, {
+      userIds: await noteAudience(data[0])
+    });
+
+    res.json({ message: "Note moved to trash", purge_at: trashPurgeDate(deletedAt) });
   } catch (err) {
     console.error("Delete note error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get public note by share ID (no authentication required)
-router.get("/public/:shareId", async (req, res) => {
+// Restore a note from the trash
+router.post("/:id/restore", requireScope("notes:write"), async (req, res) => {
   try {
-    const { shareId } = req.params;
+    const { id } = req.params;
 
-    const { data: note, error } = await supabase
+    const { data, error } = await supabase
       .from("notes")
-      .select("id, title, content, encrypted_content, is_encrypted, tags, created_at, updated_at, published_at")
-      .eq("public_share_id", shareId)
-      .eq("is_public", true)
-      .eq("is_draft", false)
-      .single();
+      .update({ deleted_at: null })
+      .eq("id", id)
+      .eq("user_id", req.user.id)
+      .not("deleted_at", "is", null)
+      .select("id, user_id, title, deleted_at, updated_at");
 
-    if (error || !note) {
-      return res.status(404).json({ error: "Public note not found" });
+    if (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    // Decrypt if encrypted (for public notes, we still decrypt server-side)
-    if (note.is_encrypted && note.encrypted_content) {
-      try {
-        note.content = decryptText(note.encrypted_content);
-        delete note.encrypted_content;
-      } catch (decryptError) {
-        console.error("Decryption error for public note:", note.id);
-        note.content = "[Content unavailable]";
-      }
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Note not found in trash" });
+    }
+
+    await publishNoteEvent(req, NOTE_EVENTS.RESTORED, { id: data[0].id }, { userIds: await noteAudience(data[0]) });
+
+    res.json({ message: "Note restored successfully", note: data[0] });
+  } catch (err) {
+    console.error("Restore note error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Permanently delete a note that is already in the trash
+router.delete("/:id/permanent", requireScope("notes:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Collaborators lose their shares with the note, so find them first
+    const audience = await noteAudience({ id, user_id: req.user.id });
+
+    const { data, error } = await supabase
+      .from("notes")
+      .delete()
+      .eq("id", id)
+      .eq("user_id", req.user.id)
+      .not("deleted_at", "is", null)
+      .select("id");
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Note not found in trash" });
+    }
+
+    await publishNoteEvent(req, NOTE_EVENTS.DELETED, { ids: [data[0].id] }, { userIds: audience });
+
+    res.json({ message: "Note permanently deleted" });
+  } catch (err) {
+    console.error("Permanent delete note error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Resolve a public share link and send the note, or the reason it cannot be viewed
+const sendSharedNote = async (req, res, password) => {
+  const link = await findShareLink(req.params.shareId);
+
+  if (!link) {
+    return res.status(404).json({ error: "Public note not found" });
+  }
+
+  const status = shareLinkStatus(link);
+  if (status === "revoked") {
+    return res.status(410).json({ error: "This share link has been revoked" });
+  }
+  if (status === "expired") {
+    return res.status(410).json({ error: "This share link has expired" });
+  }
+
+  const { data: note } = await supabase
+    .from("notes")
+    .select("id, title, content, encrypted_content, is_encrypted, tags, created_at, updated_at, published_at")
+    .eq("id", link.note_id)
+    .eq("is_public", true)
+    .eq("is_draft", false)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (!note) {
+    return res.status(404).json({ error: "Public note not found" });
+  }
+
+  if (link.password_hash) {
+    if (password === undefined) {
+      return res.status(401).json({ error: "This note is password protected", passwordRequired: true });
+    }
+    if (!(await checkShareLinkPassword(link, password))) {
+      return res.status(401).json({ error: "Incorrect password", passwordRequired: true });
     }
+  }
+
+  await recordShareLinkView(link);
 
-    res.json({ note });
+  // Decrypt if encrypted (for public notes, we still decrypt server-side)
+  if (note.is_encrypted && note.encrypted_content) {
+    try {
+      note.content = decryptText(note.encrypted_content);
+      delete note.encrypted_content;
+    } catch (decryptError) {
+      console.error("Decryption error for public note:", note.id);
+      note.content = "[Content unavailable]";
+    }
+  }
+
+  res.json({ note, link: { label: link.label, expires_at: link.expires_at } });
+};
+
+// Get public note by share link (no authentication required)
+router.get("/public/:shareId", async (req, res) => {
+  try {
+    await sendSharedNote(req, res);
   } catch (err) {
     console.error("Get public note error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Open a password-protected share link (no authentication required)
+router.post("/public/:shareId", shareLinkLimits.passwordByIp, shareLinkLimits.passwordByLink, async (req, res) => {
+  try {
+    const password = typeof req.body?.password === "string" ? req.body.password : "";
+
+    await sendSharedNote(req, res, password);
+  } catch (err) {
+    console.error("Open public note error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get note statistics
-router.get("/stats/overview", authenticationtoken, async (req, res) => {
+router.get("/stats/overview", requireScope("notes:read"), async (req, res) => {
   try {
     const { data: stats, error } = await supabase
       .from("notes")
-      .select("is_draft, is_public, is_encrypted")
+      .select("is_draft, is_public, is_encrypted, deleted_at")
       .eq("user_id", req.user.id);
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
+    const live = stats.filter(note => !note.deleted_at);
+
     const overview = {
-      total: stats.length,
-      drafts: stats.filter(note => note.is_draft).length,
-      published: stats.filter(note => !note.is_draft).length,
-      public: stats.filter(note => note.is_public).length,
-      encrypted: stats.filter(note => note.is_encrypted).length
+      total: live.length,
+      drafts: live.filter(note => note.is_draft).length,
+      published: live.filter(note => !note.is_draft).length,
+      public: live.filter(note => note.is_public).length,
+      encrypted: live.filter(note => note.is_encrypted).length,
+      trashed: stats.length - live.length
     };
 
     res.json({ stats: overview });
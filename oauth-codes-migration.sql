@@ -0,0 +1,3 @@
+-- Allow single-use tokens to carry extra data (e.g. the PKCE challenge of an OAuth authorization code)
+ALTER TABLE auth_tokens
+ADD COLUMN IF NOT EXISTS metadata JSONB;
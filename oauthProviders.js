@@ -0,0 +1,180 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
+import { Strategy as OpenIDConnectStrategy } from 'passport-openidconnect';
+
+// Provider types we know how to build. Each one creates a passport strategy
+// whose verify callback hands a normalized profile ({ id, email, name,
+// emailVerified }) to the shared login handler.
+const PROVIDER_TYPES = {
+  google: {
+    label: 'Google',
+    scope: ['profile', 'email'],
+    create: (config, onProfile) => new GoogleStrategy(
+      { ...config.strategyOptions, passReqToCallback: true },
+      (req, _accessToken, _refreshToken, profile, done) => onProfile(req, {
+        id: profile.id,
+        email: profile.emails?.[0]?.value,
+        name: profile.displayName,
+        emailVerified: profile.emails?.[0]?.verified !== false
+      }, done)
+    ),
+  },
+  github: {
+    label: 'GitHub',
+    scope: ['read:user', 'user:email'],
+    create: (config, onProfile) => new GitHubStrategy(
+      { ...config.strategyOptions, allRawEmails: true, passReqToCallback: true },
+      (req, _accessToken, _refreshToken, profile, done) => {
+        const primary = profile.emails?.find(email => email.primary) || profile.emails?.[0];
+        onProfile(req, {
+          id: profile.id,
+          email: primary?.value,
+          name: profile.displayName || profile.username,
+          emailVerified: primary?.verified === true
+        }, done);
+      }
+    ),
+  },
+  oidc: {
+    label: 'Single sign-on',
+    scope: ['profile', 'email'], // passport-openidconnect always adds "openid"
+    // Ten-argument form so passport-openidconnect passes both profiles and the raw ID token
+    create: (config, onProfile) => new OpenIDConnectStrategy(
+      { ...config.strategyOptions, passReqToCallback: true },
+      (req, _issuer, uiProfile, idProfile, _context, idToken, _accessToken, _refreshToken, _params, done) => {
+        const claims = { ...(jwt.decode(idToken) || {}), ...(uiProfile?._json || {}) };
+        const profile = uiProfile || idProfile;
+        onProfile(req, {
+          id: claims.sub || profile.id,
+          email: claims.email || profile.emails?.[0]?.value,
+          name: claims.name || profile.displayName || claims.preferred_username,
+          emailVerified: claims.email_verified === true
+        }, done);
+      }
+    ),
+  },
+};
+
+const backendUrl = () => {
+  return process.env.NODE_ENV === 'production'
+    ? (process.env.RENDER_EXTERNAL_URL || process.env.BACKEND_URL)
+    : `http://localhost:${process.env.PORT || 3000}`;
+};
+
+// Values in the config file may reference the environment as "env:NAME"
+const resolveValue = (value) => {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)];
+  }
+  return value;
+};
+
+// Provider configs from OAUTH_PROVIDERS_FILE, e.g.
+// { "providers": [{ "name": "corp", "type": "oidc", "label": "Corp SSO",
+//   "clientID": "...", "clientSecret": "env:CORP_SECRET", "issuer": "...",
+//   "authorizationURL": "...", "tokenURL": "...", "userInfoURL": "..." }] }
+const loadFromFile = (file) => {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (parsed.providers || []).map(({ name, type, label, scope, ...options }) => ({
+    name,
+    type: type || name,
+    label,
+    scope,
+    options: Object.fromEntries(Object.entries(options).map(([key, value]) => [key, resolveValue(value)]))
+  }));
+};
+
+// Provider configs from individual environment variables
+const loadFromEnv = () => {
+  const env = process.env;
+  const configs = [];
+
+  if (env.GOOGLE_CLIENT_ID) {
+    configs.push({
+      name: 'google',
+      type: 'google',
+      options: { clientID: env.GOOGLE_CLIENT_ID, clientSecret: env.GOOGLE_CLIENT_SECRET }
+    });
+  }
+
+  if (env.GITHUB_CLIENT_ID) {
+    configs.push({
+      name: 'github',
+      type: 'github',
+      options: { clientID: env.GITHUB_CLIENT_ID, clientSecret: env.GITHUB_CLIENT_SECRET }
+    });
+  }
+
+  if (env.OIDC_ISSUER && env.OIDC_CLIENT_ID) {
+    configs.push({
+      name: env.OIDC_PROVIDER_NAME || 'oidc',
+      type: 'oidc',
+      label: env.OIDC_LABEL,
+      options: {
+        issuer: env.OIDC_ISSUER,
+        authorizationURL: env.OIDC_AUTHORIZATION_URL,
+        tokenURL: env.OIDC_TOKEN_URL,
+        userInfoURL: env.OIDC_USERINFO_URL,
+        clientID: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET
+      }
+    });
+  }
+
+  return configs;
+};
+
+const providers = new Map();
+
+// Build and register a strategy for every configured provider
+export const registerOAuthProviders = (passport, onProfile) => {
+  const configs = process.env.OAUTH_PROVIDERS_FILE
+    ? loadFromFile(process.env.OAUTH_PROVIDERS_FILE)
+    : loadFromEnv();
+
+  for (const config of configs) {
+    const type = PROVIDER_TYPES[config.type];
+
+    if (!type) {
+      console.error(`Unknown OAuth provider type "${config.type}" for provider "${config.name}", skipping`);
+      continue;
+    }
+    if (!/^[a-z0-9-]+$/.test(config.name || '')) {
+      console.error(`Invalid OAuth provider name "${config.name}", skipping`);
+      continue;
+    }
+
+    const provider = {
+      name: config.name,
+      type: config.type,
+      label: config.label || type.label,
+      scope: config.scope || type.scope,
+      callbackURL: `${backendUrl()}/oauth/${config.name}/callback`
+    };
+
+    const strategy = type.create({
+      strategyOptions: { ...config.options, callbackURL: provider.callbackURL, scope: provider.scope }
+    }, (req, profile, done) => onProfile(provider.name, req, profile, done));
+
+    passport.use(provider.name, strategy);
+    providers.set(provider.name, provider);
+    console.log(`OAuth provider registered: ${provider.name} (${provider.type})`);
+  }
+};
+
+// Look up a registered provider by name
+export const getOAuthProvider = (name) => {
+  return providers.get(name) || null;
+};
+
+// Public description of the registered providers
+export const listOAuthProviders = () => {
+  return [...providers.values()].map(({ name, type, label }) => ({
+    name,
+    type,
+    label,
+    loginUrl: `/oauth/${name}`
+  }));
+};
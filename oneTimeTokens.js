@@ -0,0 +1,93 @@
+import { supabase } from './database.js';
+import { generateSecureToken, hashToken } from './utils.js';
+
+// Lifetime of each token type in seconds
+const TOKEN_TTL_SECONDS = {
+  verification: 24 * 60 * 60,
+  password_reset: 60 * 60,
+  magic_link: 15 * 60,
+  email_change: 24 * 60 * 60,
+  oauth_code: 60, // Authorization code handed to the frontend after an OAuth login
+  stream_ticket: 30, // Opens a realtime stream, which cannot send an Authorization header
+};
+
+// Types a user may hold several unused tokens of at once (e.g. one per open tab)
+const CONCURRENT_TYPES = ['stream_ticket'];
+
+// Issue a single-use token, invalidating any earlier unused token of the same type
+// (unless the type is in CONCURRENT_TYPES)
+export const issueOneTimeToken = async (userId, type, metadata = null) => {
+  const ttlSeconds = TOKEN_TTL_SECONDS[type];
+  if (!ttlSeconds) {
+    throw new Error(`Unknown token type: ${type}`);
+  }
+
+  const now = new Date();
+
+  if (!CONCURRENT_TYPES.includes(type)) {
+    await supabase
+      .from('auth_tokens')
+      .update({ revoked_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('type', type)
+      .is('consumed_at', null)
+      .is('revoked_at', null);
+  }
+
+  const token = generateSecureToken();
+
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert([{
+      user_id: userId,
+      type,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      metadata,
+      created_at: now.toISOString()
+    }]);
+
+  if (error) {
+    throw new Error('Failed to issue token');
+  }
+
+  return token;
+};
+
+// Look up a usable token without consuming it, e.g. to validate a request
+// before burning the token. Returns its user id and metadata, or null.
+export const peekOneTimeToken = async (token, type) => {
+  const { data } = await supabase
+    .from('auth_tokens')
+    .select('user_id, metadata')
+    .eq('token_hash', hashToken(String(token || '')))
+    .eq('type', type)
+    .is('consumed_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  return data ? { userId: data.user_id, metadata: data.metadata } : null;
+};
+
+// Consume a token and return its user id and metadata. The update is
+// conditional on the token still being unused, so it can only succeed once.
+export const consumeOneTimeToken = async (token, type) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('auth_tokens')
+    .update({ consumed_at: now })
+    .eq('token_hash', hashToken(String(token || '')))
+    .eq('type', type)
+    .is('consumed_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select('user_id, metadata');
+
+  if (error || !data || data.length === 0) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return { userId: data[0].user_id, metadata: data[0].metadata };
+};
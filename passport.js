@@ -1,81 +1,47 @@
 import passport from "passport";
-import { Strategy as GoogleStrategy } from "passport-google-oauth20";
 import { supabase } from "./database.js";
+import { findOrCreateOAuthUser, linkIdentity, IdentityError } from "./identityService.js";
+import { registerOAuthProviders } from "./oauthProviders.js";
 
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: process.env.NODE_ENV === 'production' 
-        ? `${process.env.RENDER_EXTERNAL_URL || process.env.BACKEND_URL}/oauth/google/callback`
-        : "http://localhost:3000/oauth/google/callback"
-    },
-    async (_accessToken, _refreshToken, profile, done) => {
-      try {
-        console.log("=== Google OAuth Profile received ===");
-        console.log("Profile ID:", profile.id);
-        console.log("Display Name:", profile.displayName);
-        console.log("Emails:", profile.emails);
-        
-        if (!profile.emails || profile.emails.length === 0) {
-          console.error("No email found in Google profile");
-          return done(new Error("No email found in Google profile"), null);
-        }
-        
-        const email = profile.emails[0].value;
-        const name = profile.displayName;
+// Shared verify step for every OAuth/OIDC provider. `profile` is already
+// normalized to { id, email, name, emailVerified } by the provider registry.
+const handleOAuthProfile = async (provider, req, profile, done) => {
+  try {
+    console.log(`=== ${provider} OAuth profile received ===`);
+    console.log("Profile ID:", profile.id);
 
-        console.log("Processing user:", { name, email });
+    // A link intent in the session means a logged-in user is adding this provider to their account
+    const intent = req.session?.oauthLinkIntent;
+    if (intent) {
+      delete req.session.oauthLinkIntent;
 
-        // First, try to find existing user
-        const { data: existingUser, error: selectError } = await supabase
-          .from("users")
-          .select("*")
-          .eq("email", email)
-          .maybeSingle(); // Use maybeSingle instead of single to avoid error when no user found
-        
-        if (selectError) {
-          console.error("Database select error:", selectError);
-          return done(selectError, null);
-        }
+      if (intent.provider !== provider) {
+        return done(null, false, { message: "Invalid link request" });
+      }
 
-        let user = existingUser;
+      await linkIdentity(intent.userId, provider, profile);
+      const { data: user } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", intent.userId)
+        .single();
+      return done(null, user, { linked: true });
+    }
 
-        if (!user) {
-          console.log("Creating new user for:", email);
-          const { data: newUser, error: insertError } = await supabase
-            .from("users")
-            .insert([{ 
-              name, 
-              email, 
-              password: null, // Explicitly set password as null for Google OAuth users
-              email_verified: true,
-              email_verified_at: new Date().toISOString(),
-              created_at: new Date().toISOString()
-            }])
-            .select()
-            .single();
-          
-          if (insertError) {
-            console.error("Database insert error:", insertError);
-            return done(insertError, null);
-          }
-          
-          user = newUser;
-          console.log("New user created successfully:", user.id);
-        } else {
-          console.log("Existing user found:", user.id);
-        }
-        
-        return done(null, user);
-      } catch (err) {
-        console.error("Google OAuth strategy error:", err);
-        return done(err, null);
-      }
+    console.log("Processing user:", { name: profile.name, email: profile.email });
+
+    const user = await findOrCreateOAuthUser(provider, profile);
+    return done(null, user);
+  } catch (err) {
+    if (err instanceof IdentityError) {
+      return done(null, false, { message: err.message });
     }
-  )
-);
+    console.error(`${provider} OAuth strategy error:`, err);
+    return done(err, null);
+  }
+};
+
+registerOAuthProviders(passport, handleOAuthProfile);
 
 passport.serializeUser((user, done) => done(null, user.id));
 passport.deserializeUser(async (id, done) => {
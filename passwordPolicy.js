@@ -0,0 +1,92 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+const POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '72', 10), // bcrypt ignores anything past 72 bytes
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', false),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', false),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+};
+
+export const PASSWORD_POLICY_ERROR = 'Password does not meet the requirements';
+
+// Common/breached passwords, loaded once from a local file (no network lookups)
+const loadBlocklist = () => {
+  const file = process.env.PASSWORD_BLOCKLIST_FILE
+    || fileURLToPath(new URL('./common-passwords.txt', import.meta.url));
+  try {
+    return new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error(`Password blocklist could not be loaded from ${file}:`, error.message);
+    return new Set();
+  }
+};
+
+const blocklist = loadBlocklist();
+
+// Shorter terms (a first name like "Ann" or "Lee") match too many unrelated passwords
+const MIN_PERSONAL_TERM_LENGTH = 4;
+
+// The name, the email and its local part must not be (part of) the password
+const personalTerms = ({ name, email } = {}) => {
+  const terms = [];
+  if (email) {
+    terms.push(email, email.split('@')[0]);
+  }
+  if (name) {
+    terms.push(name, ...name.split(/\s+/));
+  }
+  return terms
+    .map(term => term.toLowerCase().trim())
+    .filter(term => term.length >= MIN_PERSONAL_TERM_LENGTH);
+};
+
+// Check a password against the policy. Returns a list of { code, message }
+// reasons, empty when the password is acceptable.
+export const checkPassword = (password, context = {}) => {
+  const reasons = [];
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < POLICY.minLength) {
+    reasons.push({ code: 'too_short', message: `Password must be at least ${POLICY.minLength} characters long` });
+  }
+  if (Buffer.byteLength(value, 'utf8') > POLICY.maxLength) {
+    reasons.push({ code: 'too_long', message: `Password must be at most ${POLICY.maxLength} bytes long` });
+  }
+  if (POLICY.requireLowercase && !/[a-z]/.test(value)) {
+    reasons.push({ code: 'missing_lowercase', message: 'Password must contain a lowercase letter' });
+  }
+  if (POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+    reasons.push({ code: 'missing_uppercase', message: 'Password must contain an uppercase letter' });
+  }
+  if (POLICY.requireNumber && !/[0-9]/.test(value)) {
+    reasons.push({ code: 'missing_number', message: 'Password must contain a number' });
+  }
+  if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    reasons.push({ code: 'missing_symbol', message: 'Password must contain a symbol' });
+  }
+  if (personalTerms(context).some(term => lower.includes(term))) {
+    reasons.push({ code: 'contains_personal_info', message: 'Password must not contain your name or email address' });
+  }
+  if (blocklist.has(lower)) {
+    reasons.push({ code: 'common_password', message: 'This password is too common or has appeared in a data breach' });
+  }
+
+  return reasons;
+};
+
+// Policy description for clients that want to validate before submitting
+export const getPasswordPolicy = () => ({ ...POLICY });
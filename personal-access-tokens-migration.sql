@@ -0,0 +1,15 @@
+-- Create table for personal access tokens used by scripts and integrations
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token, shown to the user only once
+  token_prefix VARCHAR(16) NOT NULL, -- First characters, to help users recognise a token
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- e.g. {'notes:read','labels:write'}
+  expires_at TIMESTAMP, -- NULL means the token does not expire
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
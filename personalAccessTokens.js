@@ -0,0 +1,100 @@
+import { supabase } from './database.js';
+import { generateSecureToken, hashToken } from './utils.js';
+
+export const PAT_PREFIX = 'pat_';
+
+// Scopes a personal access token can be granted
+export const PAT_SCOPES = ['notes:read', 'notes:write', 'labels:read', 'labels:write'];
+
+const PUBLIC_FIELDS = 'id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+// Only touch last_used_at once a minute per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(PAT_PREFIX);
+};
+
+// Create a token; the plain value is returned once and only its hash is stored
+export const createPersonalAccessToken = async (userId, { name, scopes, expiresInDays }) => {
+  const token = `${PAT_PREFIX}${generateSecureToken()}`;
+
+  const { data, error } = await supabase
+    .from('personal_access_tokens')
+    .insert([{
+      user_id: userId,
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, PAT_PREFIX.length + 8),
+      scopes,
+      expires_at: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      created_at: new Date().toISOString()
+    }])
+    .select(PUBLIC_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return { token, record: data };
+};
+
+export const listPersonalAccessTokens = async (userId) => {
+  const { data, error } = await supabase
+    .from('personal_access_tokens')
+    .select(PUBLIC_FIELDS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+export const revokePersonalAccessToken = async (userId, tokenId) => {
+  const { data, error } = await supabase
+    .from('personal_access_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', tokenId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Whether a token (by id) can still be used, for connections opened with it
+export const isPersonalAccessTokenActive = async (tokenId) => {
+  const { data: record } = await supabase
+    .from('personal_access_tokens')
+    .select('expires_at, revoked_at')
+    .eq('id', tokenId)
+    .maybeSingle();
+
+  return !!record && !record.revoked_at && !(record.expires_at && new Date(record.expires_at) < new Date());
+};
+
+// Resolve a presented token to its active record, or null
+export const findActivePersonalAccessToken = async (token) => {
+  const { data: record } = await supabase
+    .from('personal_access_tokens')
+    .select('id, user_id, scopes, expires_at, last_used_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (!record || record.revoked_at || (record.expires_at && new Date(record.expires_at) < new Date())) {
+    return null;
+  }
+
+  if (!record.last_used_at || Date.now() - new Date(record.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    supabase
+      .from('personal_access_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .then(({ error }) => {
+        if (error) console.error('Failed to update token last_used_at:', error);
+      });
+  }
+
+  return record;
+};
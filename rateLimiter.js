@@ -0,0 +1,103 @@
+// In-memory fixed-window store. Any object with the same async
+// increment/reset interface (e.g. a Redis-backed one) can be swapped in
+// with setRateLimitStore() when running more than one instance.
+export class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+// Replace the store used by all limiters
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+// Send the standard 429 response
+export const sendTooManyRequests = (res, retryAfterSeconds, message = "Too many requests. Please try again later.") => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+};
+
+// Key generators
+export const byIp = (req) => req.ip;
+export const byAccount = (req) => {
+  const email = req.body?.email;
+  return typeof email === "string" && email ? email.trim().toLowerCase() : null;
+};
+
+// Create a rate-limiting middleware. Requests whose key generator returns
+// null are not counted by this limiter.
+export const rateLimit = ({ name, windowMs, max, keyGenerator = byIp, message }) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+
+      if (count > max) {
+        return sendTooManyRequests(res, (resetAt - Date.now()) / 1000, message);
+      }
+    } catch (error) {
+      // Fail open: a broken store should not lock everybody out
+      console.error("Rate limit store error:", error);
+    }
+
+    next();
+  };
+};
+
+const minutes = (n) => n * 60 * 1000;
+
+// Limits for the authentication endpoints (per IP and per account)
+export const authLimits = {
+  loginByIp: rateLimit({ name: "login-ip", windowMs: minutes(15), max: 20 }),
+  loginByAccount: rateLimit({ name: "login-account", windowMs: minutes(15), max: 10, keyGenerator: byAccount }),
+  signupByIp: rateLimit({ name: "signup-ip", windowMs: minutes(60), max: 5 }),
+  forgotPasswordByIp: rateLimit({ name: "forgot-ip", windowMs: minutes(15), max: 5 }),
+  forgotPasswordByAccount: rateLimit({ name: "forgot-account", windowMs: minutes(60), max: 3, keyGenerator: byAccount }),
+  resendVerificationByIp: rateLimit({ name: "resend-ip", windowMs: minutes(15), max: 5 }),
+  resendVerificationByAccount: rateLimit({ name: "resend-account", windowMs: minutes(60), max: 3, keyGenerator: byAccount }),
+  magicLinkByIp: rateLimit({ name: "magic-link-ip", windowMs: minutes(15), max: 5 }),
+  magicLinkByAccount: rateLimit({ name: "magic-link-account", windowMs: minutes(60), max: 3, keyGenerator: byAccount }),
+  twoFactorByIp: rateLimit({ name: "2fa-ip", windowMs: minutes(15), max: 20 }),
+  refreshByIp: rateLimit({ name: "refresh-ip", windowMs: minutes(15), max: 60 }),
+  codeExchangeByIp: rateLimit({ name: "code-exchange-ip", windowMs: minutes(15), max: 30 }),
+};
+
+// Limits for password attempts on protected share links (per IP and per link)
+export const shareLinkLimits = {
+  passwordByIp: rateLimit({ name: "share-password-ip", windowMs: minutes(15), max: 20 }),
+  passwordByLink: rateLimit({ name: "share-password-link", windowMs: minutes(15), max: 50, keyGenerator: (req) => req.params.shareId }),
+};
@@ -0,0 +1,63 @@
+import { EventEmitter } from 'events';
+
+export const NOTE_EVENTS = {
+  CREATED: 'note.created',
+  UPDATED: 'note.updated',
+  AUTOSAVED: 'note.autosaved',
+  TRASHED: 'note.trashed',
+  RESTORED: 'note.restored',
+  DELETED: 'note.deleted',
+  LABELS_CHANGED: 'note.labels_changed',
+  CATEGORIES_CHANGED: 'note.categories_changed',
+  SHARED: 'note.shared',
+  UNSHARED: 'note.unshared',
+};
+
+// In-process adapter: only streams connected to this instance receive events.
+// Running several instances needs an adapter on a shared broker (Redis pub/sub,
+// Postgres LISTEN/NOTIFY, ...) with the same publish/subscribe shape; subscribe
+// returns the function (or a promise of it) that removes the listener.
+export const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream
+
+  return {
+    publish: async (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: (channel, listener) => {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+  };
+};
+
+let adapter = createMemoryAdapter();
+
+export const setRealtimeAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+const userChannel = (userId) => `user:${userId}`;
+
+// Push an event to every stream of `userIds` (default: the acting user). Best
+// effort: a failed publish is logged and never fails the request that triggered it.
+// `origin` is the session that made the change so clients can skip their own echoes.
+export const publishNoteEvent = async (req, type, data, { userIds = [req.user.id] } = {}) => {
+  try {
+    const message = {
+      type,
+      data,
+      origin: req.user.sid || null,
+      at: new Date().toISOString(),
+    };
+    await Promise.all([...new Set(userIds)].map(userId => adapter.publish(userChannel(userId), message)));
+  } catch (error) {
+    console.error(`Failed to publish realtime event ${type}:`, error);
+  }
+};
+
+// Listen to a user's events; resolves to the unsubscribe function
+export const subscribeToUser = async (userId, listener) => {
+  return adapter.subscribe(userChannel(userId), listener);
+};
@@ -0,0 +1,92 @@
+import express from "express";
+import { requireScope, credentialsStillValid } from "./authmiddleware.js";
+import { issueOneTimeToken, consumeOneTimeToken } from "./oneTimeTokens.js";
+import { subscribeToUser } from "./realtime.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS || "25000", 10);
+
+// EventSource cannot send headers, and an access token in the URL would end up in
+// proxy and server logs. Clients exchange their token for a short-lived single-use
+// ticket instead and open GET /stream?ticket=<ticket>.
+router.post("/ticket", requireScope("notes:read"), async (req, res) => {
+  try {
+    // The stream acts with the credentials the ticket was issued for
+    const ticket = await issueOneTimeToken(req.user.id, "stream_ticket", { user: req.user });
+    res.status(201).json({ ticket });
+  } catch (err) {
+    console.error("Realtime ticket error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Server-Sent Events stream of changes to the ticket holder's notes
+router.get("/stream", async (req, res) => {
+  // Registered before anything is awaited, so a client that goes away early never leaks a subscription
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = null;
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    let user;
+    try {
+      ({ metadata: { user } } = await consumeOneTimeToken(req.query.ticket, "stream_ticket"));
+    } catch (error) {
+      return res.status(401).json({ message: "invalid or expired ticket" });
+    }
+
+    // The login may have been revoked between issuing and using the ticket
+    if (!(await credentialsStillValid(user))) {
+      return res.status(401).json({ message: "invalid or expired token" });
+    }
+    if (closed) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no" // disable proxy buffering
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (event, data) => {
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    unsubscribe = await subscribeToUser(user.id, (message) => send(message.type, message));
+    if (closed) return unsubscribe();
+
+    // Comment lines keep proxies from closing an idle connection; the credentials
+    // are rechecked so a revoked, expired or disabled login stops receiving events
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await credentialsStillValid(user))) {
+          send("session_expired", { message: "Authentication expired. Reconnect with a fresh ticket." });
+          return res.end();
+        }
+        res.write(": ping\n\n");
+      } catch (error) {
+        console.error("Realtime heartbeat error:", error);
+      }
+    }, HEARTBEAT_MS);
+
+    res.write("retry: 5000\n\n");
+    send("ready", { userId: user.id, session: user.sid || null });
+  } catch (err) {
+    console.error("Realtime stream error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    res.end();
+  }
+});
+
+export default router;
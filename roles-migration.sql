@@ -0,0 +1,13 @@
+-- Add roles and account disabling to users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user', -- 'user', 'admin'
+ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS disabled_reason TEXT,
+ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN DEFAULT FALSE; -- Set by an admin-forced reset
+
+UPDATE users SET role = 'user' WHERE role IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Promote the first admin by hand, e.g.:
+-- UPDATE users SET role = 'admin' WHERE email = 'you@example.com';
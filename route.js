@@ -4,92 +4,94 @@ import bcrypt from "bcrypt";
 import { z } from "zod";
 import { supabase } from "./database.js";
 import { authenticationtoken } from "./authmiddleware.js";
-import { sendVerificationEmail, sendPasswordResetEmail } from "./emailService.js";
-import { 
-  generateJWTToken, 
-  generateVerificationToken, 
-  generatePasswordResetToken, 
-  verifyToken 
-} from "./utils.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail
+} from "./emailService.js";
+import { getMailTransportName, isMockMailTransport } from "./mailer.js";
+import { listEmailLocales, resolveLocale } from "./emailTemplates.js";
+import { authLimits, sendTooManyRequests } from "./rateLimiter.js";
+import { getLockoutRemaining, recordFailedLogin, ACCOUNT_LOCKED_MESSAGE } from "./accountLockout.js";
+import { completeLogin, getLoginBlock, rotateRefreshToken, revokeSession, revokeAllSessions } from "./sessionService.js";
+import { issueOneTimeToken, consumeOneTimeToken, peekOneTimeToken } from "./oneTimeTokens.js";
+import { checkPassword, getPasswordPolicy, PASSWORD_POLICY_ERROR } from "./passwordPolicy.js";
+import { getOAuthProvider, listOAuthProviders } from "./oauthProviders.js";
+import { generateTwoFactorPendingToken, verifyPkceChallenge, verifyToken } from "./utils.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
 
 const router = express.Router();
 
 const signupSchema = z.object({
   name: z.string().min(3),
   email: z.string().email(),
-  password: z.string().min(6),
+  password: z.string().min(1),
 });
 
 const loginSchema = z.object({
   email: z.string().email(),
   password: z.string().min(1),
+  deviceId: z.string().max(100).optional(),
+});
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+const codeExchangeSchema = z.object({
+  code: z.string().min(1),
+  code_verifier: z.string().min(43).max(128).optional(),
+  deviceId: z.string().max(100).optional(),
 });
 
 const passwordResetRequestSchema = z.object({
   email: z.string().email(),
 });
 
+const magicLinkRequestSchema = z.object({
+  email: z.string().email(),
+});
+
+const magicLinkVerifySchema = z.object({
+  token: z.string().min(1),
+  deviceId: z.string().max(100).optional(),
+});
+
 const passwordResetSchema = z.object({
   token: z.string(),
-  newPassword: z.string().min(6),
+  newPassword: z.string().min(1),
 });
 
-
-router.get("/google", (req, res, next) => {
-  console.log("Google OAuth initiated");
-  passport.authenticate("google", { 
-    scope: ["profile", "email"]
-  })(req, res, next);
+const updateProfileSchema = z.object({
+  name: z.string().min(3),
+  locale: z.string().refine(locale => listEmailLocales().includes(locale), "Unsupported locale"),
 });
 
-router.get("/google/callback", (req, res, next) => {
-  console.log("=== Google OAuth callback received ===");
-  console.log("Query params:", req.query);
-  console.log("Environment:", process.env.NODE_ENV);
-  console.log("Frontend URL:", process.env.FRONTEND_URL);
-  
-  passport.authenticate("google", (err, user, info) => {
-    console.log("=== Passport authenticate result ===");
-    console.log("Error:", err);
-    console.log("User:", user ? { id: user.id, email: user.email } : null);
-    console.log("Info:", info);
-    
-    if (err) {
-      console.error("Google OAuth error:", err);
-      const errorUrl = `${process.env.FRONTEND_URL}/login?error=oauth_error&message=${encodeURIComponent(err.message)}`;
-      return res.redirect(errorUrl);
-    }
-    
-    if (!user) {
-      console.error("Google OAuth failed - no user:", info);
-      const errorUrl = `${process.env.FRONTEND_URL}/login?error=auth_failed&message=${encodeURIComponent('Authentication failed')}`;
-      return res.redirect(errorUrl);
-    }
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(1),
+});
 
-    console.log("User authenticated successfully:", { id: user.id, email: user.email });
+const changeEmailSchema = z.object({
+  newEmail: z.string().email(),
+  password: z.string().optional(),
+});
 
-    // Generate token and return success response
-    try {
-      const token = generateJWTToken({ id: user.id, email: user.email });
-      console.log("Token generated successfully");
-      
-      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${token}`;
-      console.log("Redirecting to:", redirectUrl);
-      
-      // Redirect to frontend with token
-      res.redirect(redirectUrl);
-    } catch (error) {
-      console.error("Token generation error:", error);
-      const errorUrl = `${process.env.FRONTEND_URL}/login?error=token_error&message=${encodeURIComponent('Token generation failed')}`;
-      return res.redirect(errorUrl);
-    }
-  })(req, res, next);
+const confirmEmailChangeSchema = z.object({
+  token: z.string().min(1),
 });
 
 
-router.post("/signup", async (req, res) => {
+router.post("/signup", authLimits.signupByIp, async (req, res) => {
   try {
     const { name, email, password } = signupSchema.parse(req.body); 
+
+    const reasons = checkPassword(password, { name, email });
+    if (reasons.length > 0) {
+      return res.status(400).json({ error: PASSWORD_POLICY_ERROR, reasons });
+    }
     
     // Check if user already exists
     const { data: existingUser } = await supabase
@@ -103,9 +105,7 @@ router.post("/signup", async (req, res) => {
     }
 
     const hashed = await bcrypt.hash(password, 10);
-
-    // Check if using dummy email for testing
-    const isDummyEmail = email.includes('dummy') || email.includes('test') || email.includes('@test.') || email.includes('@example.');
+    const locale = resolveLocale(req.get("accept-language"));
 
     const { data, error } = await supabase
       .from("users")
@@ -113,33 +113,26 @@ router.post("/signup", async (req, res) => {
         name, 
         email, 
         password: hashed, 
-        email_verified: isDummyEmail, // Auto-verify dummy emails
-        email_verified_at: isDummyEmail ? new Date().toISOString() : null,
+        locale,
+        email_verified: false, // Only the verify-email token flow marks an address verified
         created_at: new Date().toISOString()
       }])
       .select();
 
     if (error) return res.status(400).json({ error: error.message });
 
+    await recordAuditEvent(req, AUDIT_EVENTS.SIGNUP, { userId: data[0].id, metadata: { method: "password" } });
+
     // Generate verification token and send email
     try {
-      const verificationToken = generateVerificationToken(data[0].id, email);
-      await sendVerificationEmail(email, verificationToken);
-      
-      const isDummyEmail = !process.env.EMAIL_USER || process.env.EMAIL_USER === 'your-email@gmail.com' || process.env.EMAIL_USER.includes('dummy') || process.env.EMAIL_USER.includes('test');
-      
-      if (isDummyEmail) {
-        res.json({ 
-          message: "Signup successful! Check server console for verification link. You can also login directly.",
-          userId: data[0].id,
-          verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}` // Only for testing
-        });
-      } else {
-        res.json({ 
-          message: "Signup successful! Please check your email to verify your account.",
-          userId: data[0].id
-        });
-      }
+      const verificationToken = await issueOneTimeToken(data[0].id, "verification");
+      await sendVerificationEmail(email, verificationToken, locale);
+
+      // The link only ever travels by email, never in the response
+      res.json({ 
+        message: "Signup successful! Please check your email to verify your account.",
+        userId: data[0].id
+      });
     } catch (emailError) {
       console.error("Email sending failed:", emailError);
       res.json({ 
@@ -148,17 +141,17 @@ router.post("/signup", async (req, res) => {
       });
     }
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
 
-router.post("/login", async (req, res) => {
+router.post("/login", authLimits.loginByIp, authLimits.loginByAccount, async (req, res) => {
   try {
-    const { email, password } = loginSchema.parse(req.body);
+    const { email, password, deviceId } = loginSchema.parse(req.body);
 
     const { data: user, error } = await supabase
       .from("users")
@@ -166,19 +159,34 @@ router.post("/login", async (req, res) => {
       .eq("email", email)
       .single();
 
-    if (error || !user)
+    if (error || !user) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { metadata: { email, reason: "unknown_email" } });
       return res.status(401).json({ error: "Invalid credentials" });
+    }
 
-    // Check if user has a password (not a Google OAuth user)
+    // Check if user has a password (OAuth-only accounts can set one from their profile)
     if (!user.password) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { reason: "no_password" } });
       return res.status(401).json({ 
-        error: "This account was created with Google. Please use 'Continue with Google' to login." 
+        error: "This account does not have a password yet. Please sign in with your linked provider, then set a password from your profile." 
       });
     }
 
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { reason: "account_locked" } });
+      return sendTooManyRequests(res, lockedFor, ACCOUNT_LOCKED_MESSAGE);
+    }
+
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
+    if (!isMatch) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { reason: "invalid_password" } });
+      const { locked, retryAfterSeconds } = await recordFailedLogin(user);
+      if (locked) {
+        return sendTooManyRequests(res, retryAfterSeconds, ACCOUNT_LOCKED_MESSAGE);
+      }
       return res.status(401).json({ error: "Invalid credentials" });
+    }
 
     // Check if email is verified (optional - you can remove this check if needed)
     // if (!user.email_verified) {
@@ -189,29 +197,117 @@ router.post("/login", async (req, res) => {
     //   });
     // }
 
-    const token = generateJWTToken({ id: user.id, email: user.email });
+    const blocked = getLoginBlock(user);
+    if (blocked) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { reason: "account_blocked" } });
+      return res.status(blocked.status).json(blocked.body);
+    }
 
-    // Update last login
-    await supabase
-      .from("users")
-      .update({ last_login: new Date().toISOString() })
-      .eq("id", user.id);
+    // Password is correct but a second factor is still required
+    if (user.totp_enabled) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorPendingToken(user.id, "password"),
+      });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, { userId: user.id, metadata: { method: "password" } });
+
+    res.json(await completeLogin(user, { deviceId, req, method: "password" }));
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Exchange a refresh token for a new token pair (refresh tokens rotate on every use)
+router.post("/token/refresh", authLimits.refreshByIp, async (req, res) => {
+  try {
+    const { refreshToken } = refreshSchema.parse(req.body);
+
+    const tokens = await rotateRefreshToken(refreshToken, { req });
 
     res.json({
-      message: "Login successful",
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        email_verified: user.email_verified,
-      },
+      message: "Token refreshed successfully",
+      ...tokens
     });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
-    console.error(err);
+    res.status(401).json({ error: err.message || "Invalid or expired refresh token" });
+  }
+});
+
+// Exchange the one-time code from an OAuth redirect for tokens (with optional PKCE)
+router.post("/token/exchange", authLimits.codeExchangeByIp, async (req, res) => {
+  try {
+    const { code, code_verifier, deviceId } = codeExchangeSchema.parse(req.body);
+
+    let consumed;
+    try {
+      consumed = await consumeOneTimeToken(code, "oauth_code");
+    } catch (tokenError) {
+      return res.status(400).json({ error: "Invalid or expired authorization code" });
+    }
+
+    // The code is already burned at this point, so a wrong verifier cannot be retried
+    const challenge = consumed.metadata?.code_challenge;
+    if (challenge && (!code_verifier || !verifyPkceChallenge(code_verifier, challenge))) {
+      return res.status(400).json({ error: "Invalid code verifier" });
+    }
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", consumed.userId)
+      .single();
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired authorization code" });
+    }
+
+    const blocked = getLoginBlock(user);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    res.json(await completeLogin(user, { deviceId, req, method: consumed.metadata?.provider || "oauth" }));
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Code exchange error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Logout from the current session
+router.post("/logout", authenticationtoken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.sid, req.user.id);
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Logout from every session of the current user
+router.post("/logout-all", authenticationtoken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.json({ message: "Logged out from all sessions", revokedSessions: revoked });
+  } catch (err) {
+    console.error("Logout all error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -225,25 +321,25 @@ router.get("/verify-email", async (req, res) => {
       return res.status(400).json({ error: "Verification token is required" });
     }
 
-    const decoded = verifyToken(token);
-    
-    if (decoded.type !== 'verification') {
-      return res.status(400).json({ error: "Invalid token type" });
-    }
+    // Tokens are single-use: consuming it fails if it was used, superseded or expired
+    const { userId } = await consumeOneTimeToken(token, "verification");
 
     // Update user's email verification status
     const { error } = await supabase
       .from("users")
       .update({ 
         email_verified: true,
-        email_verified_at: new Date().toISOString()
+        email_verified_at: new Date().toISOString(),
+        email_verified_via: "email"
       })
-      .eq("id", decoded.userId);
+      .eq("id", userId);
 
     if (error) {
       return res.status(400).json({ error: "Failed to verify email" });
     }
 
+    await recordAuditEvent(req, AUDIT_EVENTS.EMAIL_VERIFIED, { userId });
+
     res.json({ message: "Email verified successfully! You can now log in." });
   } catch (err) {
     res.status(400).json({ error: "Invalid or expired verification token" });
@@ -251,7 +347,7 @@ router.get("/verify-email", async (req, res) => {
 });
 
 // Resend verification email
-router.post("/resend-verification", async (req, res) => {
+router.post("/resend-verification", authLimits.resendVerificationByIp, authLimits.resendVerificationByAccount, async (req, res) => {
   try {
     const { email } = req.body;
     
@@ -261,7 +357,7 @@ router.post("/resend-verification", async (req, res) => {
 
     const { data: user } = await supabase
       .from("users")
-      .select("id, email, email_verified")
+      .select("id, email, email_verified, locale")
       .eq("email", email)
       .single();
 
@@ -273,8 +369,8 @@ router.post("/resend-verification", async (req, res) => {
       return res.status(400).json({ error: "Email is already verified" });
     }
 
-    const verificationToken = generateVerificationToken(user.id, user.email);
-    await sendVerificationEmail(user.email, verificationToken);
+    const verificationToken = await issueOneTimeToken(user.id, "verification");
+    await sendVerificationEmail(user.email, verificationToken, user.locale);
 
     res.json({ message: "Verification email sent successfully" });
   } catch (err) {
@@ -284,45 +380,38 @@ router.post("/resend-verification", async (req, res) => {
 });
 
 // Password reset request
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", authLimits.forgotPasswordByIp, authLimits.forgotPasswordByAccount, async (req, res) => {
   try {
     const { email } = passwordResetRequestSchema.parse(req.body);
+    const genericMessage = "If an account with that email exists, a password reset link has been sent.";
 
     const { data: user } = await supabase
       .from("users")
-      .select("id, email")
+      .select("id, email, locale")
       .eq("email", email)
       .single();
 
     if (!user) {
+      await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, { metadata: { email, accountFound: false } });
       // Don't reveal if user exists or not for security
-      return res.json({ message: "If an account with that email exists, a password reset link has been sent." });
+      return res.json({ message: genericMessage });
     }
 
+    await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, { userId: user.id });
+
     try {
-      const resetToken = generatePasswordResetToken(user.id, user.email);
-      await sendPasswordResetEmail(user.email, resetToken);
-      
-      // For testing with dummy emails, also return the token in development
-      const isDummyEmail = !process.env.EMAIL_USER || process.env.EMAIL_USER === 'your-email@gmail.com' || process.env.EMAIL_USER.includes('dummy') || process.env.EMAIL_USER.includes('test');
-      
-      if (isDummyEmail) {
-        res.json({ 
-          message: "Password reset email sent! (Check server console for reset link)",
-          resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}` // Only for testing
-        });
-      } else {
-        res.json({ message: "If an account with that email exists, a password reset link has been sent." });
-      }
+      const resetToken = await issueOneTimeToken(user.id, "password_reset");
+      await sendPasswordResetEmail(user.email, resetToken, user.locale);
     } catch (emailError) {
+      // Answer as usual: a different reply would reveal that the account exists
       console.error("Email sending failed:", emailError);
-      return res.status(500).json({ 
-        error: "Failed to send password reset email. Please try again later or contact support." 
-      });
     }
+
+    // The link only ever travels by email, never in the response
+    res.json({ message: genericMessage });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     console.error("Forgot password error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -334,40 +423,157 @@ router.post("/reset-password", async (req, res) => {
   try {
     const { token, newPassword } = passwordResetSchema.parse(req.body);
 
-    const decoded = verifyToken(token);
-    
-    if (decoded.type !== 'password_reset') {
-      return res.status(400).json({ error: "Invalid token type" });
+    // Validate before consuming so a rejected password does not burn the reset link
+    const pending = await peekOneTimeToken(token, "password_reset");
+    if (!pending) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
     }
 
+    const { data: account } = await supabase
+      .from("users")
+      .select("name, email")
+      .eq("id", pending.userId)
+      .single();
+
+    const reasons = checkPassword(newPassword, account || {});
+    if (reasons.length > 0) {
+      return res.status(400).json({ error: PASSWORD_POLICY_ERROR, reasons });
+    }
+
+    const { userId } = await consumeOneTimeToken(token, "password_reset");
+
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
+    // password_reset_at is the cut-off: access tokens issued before it are rejected
     const { error } = await supabase
       .from("users")
       .update({ 
         password: hashedPassword,
-        password_reset_at: new Date().toISOString()
+        password_reset_at: new Date().toISOString(),
+        password_reset_required: false,
+        failed_login_attempts: 0,
+        locked_until: null
       })
-      .eq("id", decoded.userId);
+      .eq("id", userId);
 
     if (error) {
       return res.status(400).json({ error: "Failed to reset password" });
     }
 
+    // Kill every refresh token so no existing session survives the reset
+    await revokeAllSessions(userId);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_RESET_COMPLETED, { userId });
+
     res.json({ message: "Password reset successfully" });
   } catch (err) {
-    if (err.errors) {
-      return res.status(400).json({ error: err.errors });
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
     }
     res.status(400).json({ error: "Invalid or expired reset token" });
   }
 });
 
+// Request a passwordless login link
+router.post("/magic-link", authLimits.magicLinkByIp, authLimits.magicLinkByAccount, async (req, res) => {
+  try {
+    const { email } = magicLinkRequestSchema.parse(req.body);
+    const genericMessage = "If an account with that email exists, a sign-in link has been sent.";
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("id, email, disabled_at, locale")
+      .eq("email", email)
+      .single();
+
+    if (!user || user.disabled_at) {
+      // Don't reveal if user exists or not for security
+      return res.json({ message: genericMessage });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.MAGIC_LINK_REQUESTED, { userId: user.id });
+
+    try {
+      const loginToken = await issueOneTimeToken(user.id, "magic_link");
+      await sendMagicLinkEmail(user.email, loginToken, user.locale);
+    } catch (emailError) {
+      // Answer as usual: a different reply would reveal that the account exists
+      console.error("Email sending failed:", emailError);
+    }
+
+    // The link only ever travels by email, never in the response
+    res.json({ message: genericMessage });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Magic link error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Exchange a magic link for tokens (accounts with 2FA still need their second factor)
+router.post("/magic-link/verify", authLimits.codeExchangeByIp, async (req, res) => {
+  try {
+    const { token, deviceId } = magicLinkVerifySchema.parse(req.body);
+
+    let consumed;
+    try {
+      consumed = await consumeOneTimeToken(token, "magic_link");
+    } catch (tokenError) {
+      return res.status(400).json({ error: "Invalid or expired sign-in link" });
+    }
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", consumed.userId)
+      .single();
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired sign-in link" });
+    }
+
+    const blocked = getLoginBlock(user);
+    if (blocked) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { method: "magic_link", reason: "account_blocked" } });
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    // Opening the link proves the user controls the address
+    if (!user.email_verified || !user.email_verified_via) {
+      await supabase
+        .from("users")
+        .update({ email_verified: true, email_verified_at: new Date().toISOString(), email_verified_via: "email" })
+        .eq("id", user.id);
+      user.email_verified = true;
+    }
+
+    if (user.totp_enabled) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorPendingToken(user.id, "magic_link"),
+      });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, { userId: user.id, metadata: { method: "magic_link" } });
+
+    res.json(await completeLogin(user, { deviceId, req, method: "magic_link" }));
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Magic link verify error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 router.get("/profile", authenticationtoken, async (req, res) => {
   try {
     const { data: user } = await supabase
       .from("users")
-      .select("id,name,email,email_verified,created_at,last_login")
+      .select("id,name,email,email_verified,totp_enabled,role,locale,created_at,last_login")
       .eq("id", req.user.id)
       .single();
 
@@ -377,6 +583,194 @@ router.get("/profile", authenticationtoken, async (req, res) => {
   }
 });
 
+// Update profile fields
+router.patch("/profile", authenticationtoken, async (req, res) => {
+  try {
+    const updates = updateProfileSchema.partial().parse(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No profile fields to update" });
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update(updates)
+      .eq("id", req.user.id)
+      .select("id,name,email,email_verified,totp_enabled,role,locale,created_at,last_login")
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to update profile" });
+    }
+
+    res.json({ message: "Profile updated successfully", user });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Update profile error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change password (requires the current one); other sessions are logged out
+router.post("/profile/password", authenticationtoken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = changePasswordSchema.parse(req.body);
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("id, name, email, password")
+      .eq("id", req.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({ error: "This account does not have a password yet. Use POST /oauth/identities/password to set one." });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const reasons = checkPassword(newPassword, user);
+    if (reasons.length > 0) {
+      return res.status(400).json({ error: PASSWORD_POLICY_ERROR, reasons });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const { error } = await supabase
+      .from("users")
+      .update({ password: hashedPassword })
+      .eq("id", user.id);
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to change password" });
+    }
+
+    await revokeAllSessions(user.id, { except: req.user.sid });
+
+    await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_CHANGED);
+
+    res.json({ message: "Password changed successfully. Other sessions have been logged out." });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Request an email change: confirmation goes to the new address, a notice to the old one
+router.post("/profile/email", authenticationtoken, async (req, res) => {
+  try {
+    const { newEmail, password } = changeEmailSchema.parse(req.body);
+
+    const { data: user } = await supabase
+      .from("users")
+      .select("id, email, password, locale")
+      .eq("id", req.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: "This is already your email address" });
+    }
+
+    // Accounts with a password must re-enter it
+    if (user.password && !(password && await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
+
+    const { data: existingUser } = await supabase
+      .from("users")
+      .select("id")
+      .eq("email", newEmail)
+      .maybeSingle();
+
+    if (existingUser) {
+      return res.status(400).json({ error: "User already exists with this email" });
+    }
+
+    const token = await issueOneTimeToken(user.id, "email_change", { new_email: newEmail });
+    await sendEmailChangeConfirmationEmail(newEmail, token, user.locale);
+
+    try {
+      await sendEmailChangeNoticeEmail(user.email, newEmail, user.locale);
+    } catch (emailError) {
+      console.error("Email change notice failed:", emailError);
+    }
+
+    res.json({ message: "Check your new email address to confirm the change." });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Change email error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Confirm an email change from the link sent to the new address
+router.post("/profile/email/confirm", async (req, res) => {
+  try {
+    const { token } = confirmEmailChangeSchema.parse(req.body);
+
+    let consumed;
+    try {
+      consumed = await consumeOneTimeToken(token, "email_change");
+    } catch (tokenError) {
+      return res.status(400).json({ error: "Invalid or expired confirmation token" });
+    }
+
+    const newEmail = consumed.metadata?.new_email;
+
+    // The address may have been taken since the change was requested
+    const { data: existingUser } = await supabase
+      .from("users")
+      .select("id")
+      .eq("email", newEmail)
+      .maybeSingle();
+
+    if (!newEmail || existingUser) {
+      return res.status(400).json({ error: "This email address is no longer available" });
+    }
+
+    const { error } = await supabase
+      .from("users")
+      .update({
+        email: newEmail,
+        email_verified: true,
+        email_verified_at: new Date().toISOString(),
+        email_verified_via: "email"
+      })
+      .eq("id", consumed.userId);
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to change email" });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGED, { userId: consumed.userId, metadata: { newEmail } });
+
+    res.json({ message: "Email address changed successfully", email: newEmail });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Confirm email change error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Test route to check Google OAuth configuration
 router.get("/test-google", (req, res) => {
   const callbackURL = process.env.NODE_ENV === 'production' 
@@ -397,43 +791,120 @@ router.get("/test-google", (req, res) => {
 
 // Test route to check email configuration
 router.get("/test-email", (req, res) => {
-  const isDummyEmail = !process.env.EMAIL_USER || process.env.EMAIL_USER === 'your-email@gmail.com' || process.env.EMAIL_USER.includes('dummy') || process.env.EMAIL_USER.includes('test');
+  const transport = getMailTransportName();
   
   res.json({
     message: "Email configuration test route",
     emailUser: process.env.EMAIL_USER,
-    isDummyEmail: isDummyEmail,
-    status: isDummyEmail ? "Using mock email service (links will appear in console)" : "Real email service configured"
+    transport,
+    isMockTransport: isMockMailTransport(),
+    locales: listEmailLocales(),
+    status: transport === "smtp"
+      ? "Real email service configured"
+      : `Using ${transport} mail transport (emails are not delivered)`
   });
 });
 
-// Debug route to generate test reset link (for testing only)
-router.post("/debug/generate-reset-link", async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    const { data: user } = await supabase
-      .from("users")
-      .select("id, email")
-      .eq("email", email)
-      .single();
+// Password requirements, so clients can validate before submitting
+router.get("/password-policy", (req, res) => {
+  res.json({ policy: getPasswordPolicy() });
+});
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+// List the configured OAuth/OIDC providers for the login page
+router.get("/providers", (req, res) => {
+  res.json({ providers: listOAuthProviders() });
+});
+
+// Start an OAuth login (or account link, when a link_token is given) with any registered provider
+router.get("/:provider", (req, res, next) => {
+  const { provider } = req.params;
+  if (!getOAuthProvider(provider)) return next();
+
+  console.log(`${provider} OAuth initiated`);
+
+  if (typeof req.query.link_token === "string") {
+    try {
+      const intent = verifyToken(req.query.link_token);
+      if (intent.type !== "link_intent" || intent.provider !== provider) {
+        throw new Error("Invalid link request");
+      }
+      // Read back by the shared verify step in passport.js
+      req.session.oauthLinkIntent = { userId: intent.userId, provider };
+    } catch (error) {
+      return res.redirect(`${process.env.FRONTEND_URL}/profile?error=link_failed&message=${encodeURIComponent('Link request expired. Please try again.')}`);
     }
+  }
 
-    const resetToken = generatePasswordResetToken(user.id, user.email);
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    
-    res.json({
-      message: "Debug reset link generated",
-      email: user.email,
-      resetUrl: resetUrl,
-      note: "This is for testing only. In production, this link would be sent via email."
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to generate reset link" });
+  // Optional PKCE: the challenge is bound to the one-time code issued in the callback
+  const { code_challenge, code_challenge_method } = req.query;
+  if (code_challenge !== undefined) {
+    if (code_challenge_method !== "S256" || typeof code_challenge !== "string" || !/^[A-Za-z0-9_-]{43}$/.test(code_challenge)) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_error&message=${encodeURIComponent('Invalid PKCE code challenge')}`);
+    }
+    req.session.oauthCodeChallenge = code_challenge;
+  } else {
+    delete req.session.oauthCodeChallenge;
   }
+
+  passport.authenticate(provider)(req, res, next);
+});
+
+// Shared callback for every provider: find-or-create has already happened in passport.js
+router.get("/:provider/callback", (req, res, next) => {
+  const { provider } = req.params;
+  if (!getOAuthProvider(provider)) return next();
+
+  console.log(`=== ${provider} OAuth callback received ===`);
+  
+  passport.authenticate(provider, async (err, user, info) => {
+    if (err) {
+      console.error(`${provider} OAuth error:`, err);
+      await recordAuditEvent(req, AUDIT_EVENTS.OAUTH_LOGIN_FAILURE, { metadata: { provider, reason: "provider_error" } });
+      const errorUrl = `${process.env.FRONTEND_URL}/login?error=oauth_error&message=${encodeURIComponent(err.message)}`;
+      return res.redirect(errorUrl);
+    }
+    
+    if (!user) {
+      console.error(`${provider} OAuth failed - no user:`, info);
+      await recordAuditEvent(req, AUDIT_EVENTS.OAUTH_LOGIN_FAILURE, { metadata: { provider, reason: info?.message || "authentication_failed" } });
+      const errorUrl = `${process.env.FRONTEND_URL}/login?error=auth_failed&message=${encodeURIComponent(info?.message || 'Authentication failed')}`;
+      return res.redirect(errorUrl);
+    }
+
+    // Linking an account does not start a new session
+    if (info?.linked) {
+      await recordAuditEvent(req, AUDIT_EVENTS.OAUTH_LINKED, { userId: user.id, metadata: { provider } });
+      return res.redirect(`${process.env.FRONTEND_URL}/profile?linked=${encodeURIComponent(provider)}`);
+    }
+
+    const blocked = getLoginBlock(user);
+    if (blocked) {
+      await recordAuditEvent(req, AUDIT_EVENTS.OAUTH_LOGIN_FAILURE, { userId: user.id, metadata: { provider, reason: "account_blocked" } });
+      const errorUrl = `${process.env.FRONTEND_URL}/login?error=auth_failed&message=${encodeURIComponent(blocked.body.error)}`;
+      return res.redirect(errorUrl);
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.OAUTH_LOGIN, { userId: user.id, metadata: { provider } });
+
+    // Hand the frontend a short-lived single-use code, never the tokens themselves
+    try {
+      const codeChallenge = req.session?.oauthCodeChallenge;
+      delete req.session?.oauthCodeChallenge;
+
+      const code = await issueOneTimeToken(user.id, "oauth_code", {
+        provider,
+        ...(codeChallenge ? { code_challenge: codeChallenge } : {})
+      });
+      console.log("Authorization code issued, redirecting to frontend");
+      
+      // Frontend exchanges the code via POST /oauth/token/exchange
+      res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${encodeURIComponent(code)}`);
+    } catch (error) {
+      console.error("Authorization code error:", error);
+      const errorUrl = `${process.env.FRONTEND_URL}/login?error=token_error&message=${encodeURIComponent('Token generation failed')}`;
+      return res.redirect(errorUrl);
+    }
+  })(req, res, next);
 });
 
 export default router;
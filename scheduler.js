@@ -0,0 +1,43 @@
+const jobs = new Map();
+
+// Run a task every intervalMs. A run is skipped while the previous one is
+// still in progress, and errors are logged instead of crashing the process.
+export const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  jobs.set(name, { timer, run });
+
+  return run;
+};
+
+// Run a scheduled job right away instead of waiting for its next tick (no-op if not scheduled)
+export const runJobNow = (name) => {
+  const job = jobs.get(name);
+  if (job) {
+    setImmediate(job.run);
+  }
+};
+
+// Stop a scheduled job
+export const cancelJob = (name) => {
+  clearInterval(jobs.get(name)?.timer);
+  jobs.delete(name);
+};
@@ -6,13 +6,30 @@ import session from "express-session";
 import passport from "passport";
 import "./passport.js";
 import router from "./route.js";
+import twoFactorRouter from "./twoFactorRoute.js";
+import identitiesRouter from "./identitiesRoute.js";
+import accountRouter from "./accountRoute.js";
+import tokensRouter from "./tokensRoute.js";
+import sessionsRouter from "./sessionsRoute.js";
 import notesRouter from "./notesRoute.js";
+import noteRevisionsRouter from "./noteRevisionsRoute.js";
+import noteSharesRouter from "./noteSharesRoute.js";
+import noteShareLinksRouter from "./noteShareLinksRoute.js";
 import labelsRouter from "./labelsRoute.js";
+import adminRouter from "./adminRoute.js";
+import realtimeRouter from "./realtimeRoute.js";
+import { scheduleJob } from "./scheduler.js";
+import { purgeDeletedAccounts } from "./accountService.js";
+import { processEmailOutbox, EMAIL_OUTBOX_JOB } from "./emailOutbox.js";
+import { purgeTrashedNotes } from "./noteTrash.js";
 
 dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy req.ip must come from X-Forwarded-For for per-IP rate limits
+app.set("trust proxy", process.env.NODE_ENV === 'production' ? 1 : false);
+
 // Middleware
 app.use(express.json());
 app.use(helmet());
@@ -44,8 +61,9 @@ app.use(
       }
       : ["http://localhost:3001", "http://localhost:3005", "http://localhost:3004", "http://localhost:3003", "http://localhost:3002", "http://localhost:5173"],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['ETag'],
   })
 );
 app.use(
@@ -71,8 +89,18 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/oauth", router);
+app.use("/oauth/2fa", twoFactorRouter);
+app.use("/oauth/identities", identitiesRouter);
+app.use("/oauth/account", accountRouter);
+app.use("/oauth/tokens", tokensRouter);
+app.use("/oauth/sessions", sessionsRouter);
+app.use("/api/notes/:noteId/revisions", noteRevisionsRouter);
+app.use("/api/notes/:noteId/shares", noteSharesRouter);
+app.use("/api/notes/:noteId/links", noteShareLinksRouter);
 app.use("/api/notes", notesRouter);
 app.use("/api", labelsRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/realtime", realtimeRouter);
 
 // Fallback route for /login (in case of OAuth failures)
 app.get("/login", (req, res) => {
@@ -87,10 +115,42 @@ app.get("/", (req, res) => {
     environment: process.env.NODE_ENV,
     endpoints: {
       signup: "POST /oauth/signup",
+      passwordPolicy: "GET /oauth/password-policy",
       login: "POST /oauth/login",
-      googleAuth: "GET /oauth/google",
-      googleCallback: "GET /oauth/google/callback",
+      refreshToken: "POST /oauth/token/refresh",
+      exchangeCode: "POST /oauth/token/exchange",
+      magicLink: "POST /oauth/magic-link",
+      magicLinkVerify: "POST /oauth/magic-link/verify",
+      logout: "POST /oauth/logout (requires auth)",
+      logoutAll: "POST /oauth/logout-all (requires auth)",
+      sessions: "GET /oauth/sessions (requires auth)",
+      revokeSession: "DELETE /oauth/sessions/:id (requires auth)",
+      twoFactorSetup: "POST /oauth/2fa/setup (requires auth)",
+      twoFactorEnable: "POST /oauth/2fa/enable (requires auth)",
+      twoFactorVerify: "POST /oauth/2fa/verify",
+      identities: "GET /oauth/identities (requires auth)",
+      exportAccount: "GET /oauth/account/export (requires auth)",
+      deleteAccount: "DELETE /oauth/account (requires auth)",
+      personalAccessTokens: "GET/POST /oauth/tokens (requires auth)",
+      adminUsers: "GET /api/admin/users (requires admin)",
+      auditLog: "GET /oauth/account/audit-log (requires auth)",
+      adminAuditLog: "GET /api/admin/audit-log (requires admin)",
+      noteShares: "GET/POST /api/notes/:noteId/shares (requires auth)",
+      noteShareLinks: "GET/POST /api/notes/:noteId/links (requires auth)",
+      publicNote: "GET /api/notes/public/:shareId (POST with password for protected links)",
+      listNotes: "GET /api/notes?q=tag:work is:draft ... (requires auth)",
+      searchNotes: "GET /api/notes/search?q= (requires auth)",
+      sharedWithMe: "GET /api/notes/shared-with-me (requires auth)",
+      realtimeTicket: "POST /api/realtime/ticket (requires auth)",
+      realtimeStream: "GET /api/realtime/stream?ticket= (Server-Sent Events)",
+      adminEmailOutbox: "GET /api/admin/email-outbox (requires admin)",
+      oauthProviders: "GET /oauth/providers",
+      oauthAuth: "GET /oauth/:provider",
+      oauthCallback: "GET /oauth/:provider/callback",
       profile: "GET /oauth/profile (requires auth)",
+      updateProfile: "PATCH /oauth/profile (requires auth)",
+      changePassword: "POST /oauth/profile/password (requires auth)",
+      changeEmail: "POST /oauth/profile/email (requires auth)",
       testGoogle: "GET /oauth/test-google"
     }
   });
@@ -114,8 +174,9 @@ app.use((req, res) => {
     path: req.originalUrl,
     method: req.method,
     availableRoutes: [
-      "GET /oauth/google",
-      "GET /oauth/google/callback",
+      "GET /oauth/providers",
+      "GET /oauth/:provider",
+      "GET /oauth/:provider/callback",
       "POST /oauth/login",
       "POST /oauth/signup",
       "GET /oauth/profile"
@@ -123,6 +184,11 @@ app.use((req, res) => {
   });
 });
 
+// Background jobs
+scheduleJob("purge-deleted-accounts", 60 * 60 * 1000, purgeDeletedAccounts);
+scheduleJob("purge-trashed-notes", 60 * 60 * 1000, purgeTrashedNotes);
+scheduleJob(EMAIL_OUTBOX_JOB, parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || "15000", 10), processEmailOutbox);
+
 app.listen(PORT, () => {
   console.log(` Server running on http://localhost:${PORT}`);
 });
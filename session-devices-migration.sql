@@ -0,0 +1,7 @@
+-- Record where each session was started and last used from
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45), -- Updated on every refresh
+ADD COLUMN IF NOT EXISTS auth_method VARCHAR(30); -- 'password', 'magic_link', 'two_factor', or the OAuth provider name
+
+-- last_used_at doubles as "last seen": it is bumped on refresh and, at most once a minute, on authenticated requests
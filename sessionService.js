@@ -0,0 +1,316 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from './database.js';
+import { generateJWTToken, generateSecureToken, hashToken } from './utils.js';
+import { sendNewSignInEmail } from './emailService.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session row can be found without scanning hashes
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    throw new Error('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+// Where a request came from, as stored on the session
+const clientInfo = (req) => ({
+  user_agent: req?.get('user-agent')?.slice(0, 500) || null,
+  ip_address: req?.ip || null
+});
+
+const issueTokens = (user, sessionId, secret) => ({
+  token: generateJWTToken({ id: user.id, email: user.email, sid: sessionId }, ACCESS_TOKEN_TTL),
+  refreshToken: `${sessionId}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Network a client address belongs to: the /24 of an IPv4 address, the /48 of an IPv6 one
+const networkOf = (ip) => {
+  if (!ip) return null;
+  const address = ip.replace(/^::ffff:/i, '');
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).join('.');
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':');
+};
+
+// A device is known when an earlier session used the same device id, or the same
+// user agent from the same network. A user agent alone is shared by far too many
+// people to recognise a device. The very first login of an account is not treated
+// as a new device.
+const isNewDevice = async (userId, deviceId, { user_agent: userAgent, ip_address: ipAddress }) => {
+  const { data: previous } = await supabase
+    .from('user_sessions')
+    .select('device_id, user_agent, ip_address')
+    .eq('user_id', userId);
+
+  if (!previous || previous.length === 0) return false;
+
+  const network = networkOf(ipAddress);
+  return !previous.some(session =>
+    (deviceId && session.device_id === deviceId)
+    || (userAgent && network && session.user_agent === userAgent && networkOf(session.ip_address) === network)
+  );
+};
+
+// Start a new session for a user on a device, replacing any earlier session on that device
+export const createSession = async (user, { deviceId, req, method } = {}) => {
+  const device = deviceId || uuidv4();
+  const now = new Date().toISOString();
+  const client = clientInfo(req);
+  const newDevice = await isNewDevice(user.id, deviceId, client);
+
+  await supabase
+    .from('user_sessions')
+    .update({ revoked_at: now })
+    .eq('user_id', user.id)
+    .eq('device_id', device)
+    .is('revoked_at', null);
+
+  const sessionId = uuidv4();
+  const secret = generateSecureToken();
+
+  const { error } = await supabase
+    .from('user_sessions')
+    .insert([{
+      id: sessionId,
+      user_id: user.id,
+      device_id: device,
+      ...client,
+      auth_method: method || null,
+      refresh_token_hash: hashToken(secret),
+      expires_at: refreshExpiry(),
+      created_at: now,
+      last_used_at: now
+    }]);
+
+  if (error) {
+    throw new Error('Failed to create session');
+  }
+
+  return { ...issueTokens(user, sessionId, secret), deviceId: device, newDevice, client };
+};
+
+// Exchange a refresh token for a new access/refresh pair, revoking the session on reuse
+export const rotateRefreshToken = async (refreshToken, { req } = {}) => {
+  const { sessionId, secret } = splitRefreshToken(refreshToken);
+  const presentedHash = hashToken(secret);
+
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .select('id, user_id, refresh_token_hash, previous_token_hash, expires_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  // A rotated-out token being presented again means it was copied: kill the whole session
+  if (presentedHash === session.previous_token_hash) {
+    await revokeSession(session.id);
+    throw new Error('Refresh token reuse detected');
+  }
+
+  if (presentedHash !== session.refresh_token_hash) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const newSecret = generateSecureToken();
+
+  // Conditional on the old hash so two concurrent refreshes cannot both succeed
+  const { data: rotated } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashToken(newSecret),
+      previous_token_hash: presentedHash,
+      expires_at: refreshExpiry(),
+      last_used_at: new Date().toISOString(),
+      ...clientInfo(req)
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', presentedHash)
+    .select('id');
+
+  if (!rotated || rotated.length === 0) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, disabled_at')
+    .eq('id', session.user_id)
+    .single();
+
+  if (!user || user.disabled_at) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  return issueTokens(user, session.id, newSecret);
+};
+
+// Revoke a single session (optionally scoped to its owner)
+export const revokeSession = async (sessionId, userId) => {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (userId !== undefined) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    throw new Error('Failed to revoke session');
+  }
+  return (data || []).length > 0;
+};
+
+// Revoke every session belonging to a user, optionally keeping one (the caller's own)
+export const revokeAllSessions = async (userId, { except } = {}) => {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (except) {
+    query = query.neq('id', except);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw new Error('Failed to revoke sessions');
+  }
+  return (data || []).length;
+};
+
+// Check whether the session behind an access token is still usable.
+// Also bumps last_used_at, at most once a minute, so session lists show when a device was last seen.
+export const isSessionActive = async (sessionId) => {
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .select('revoked_at, expires_at, last_used_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  const active = !!session && !session.revoked_at && new Date(session.expires_at) >= new Date();
+
+  if (active && (!session.last_used_at || Date.now() - new Date(session.last_used_at).getTime() > LAST_SEEN_INTERVAL_MS)) {
+    await supabase
+      .from('user_sessions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', sessionId);
+  }
+
+  return active;
+};
+
+// When the user logged in to start a session, or null. Refreshing keeps the
+// session row, so unlike the access token's iat this never moves forward.
+export const getSessionLoginTime = async (sessionId) => {
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .select('created_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  return session ? new Date(session.created_at) : null;
+};
+
+// Active sessions of a user, most recently used first
+export const listSessions = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id, device_id, user_agent, ip_address, auth_method, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw new Error('Failed to load sessions');
+  }
+  return data || [];
+};
+
+// Reason an otherwise authenticated user may not log in, or null
+export const getLoginBlock = (user) => {
+  if (user.disabled_at) {
+    return { status: 403, body: { error: 'This account has been disabled. Please contact support.' } };
+  }
+  if (user.password_reset_required) {
+    return {
+      status: 403,
+      body: { error: 'A password reset is required for this account. Please check your email.', passwordResetRequired: true }
+    };
+  }
+  return null;
+};
+
+// Finish a successful login: start a session, record last_login and build the response body.
+// `method` describes how the user signed in (password, magic_link, google, ...).
+export const completeLogin = async (user, { deviceId, req, method } = {}) => {
+  const { token, refreshToken, expiresIn, newDevice, client } = await createSession(user, { deviceId, req, method });
+
+  if (newDevice) {
+    try {
+      await sendNewSignInEmail(user.email, {
+        userAgent: client.user_agent,
+        ipAddress: client.ip_address,
+        method,
+        signedInAt: new Date()
+      }, user.locale);
+    } catch (emailError) {
+      console.error('New sign-in email failed:', emailError);
+    }
+  }
+
+  // Update last login, clear any failed-attempt counters and cancel a pending deletion
+  await supabase
+    .from('users')
+    .update({
+      last_login: new Date().toISOString(),
+      failed_login_attempts: 0,
+      lockout_count: 0,
+      locked_until: null,
+      deletion_requested_at: null,
+      deletion_scheduled_at: null
+    })
+    .eq('id', user.id);
+
+  return {
+    message: user.deletion_scheduled_at
+      ? 'Login successful. Your scheduled account deletion has been cancelled.'
+      : 'Login successful',
+    deletionCancelled: !!user.deletion_scheduled_at,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      email_verified: user.email_verified,
+      role: user.role,
+    },
+  };
+};
@@ -0,0 +1,64 @@
+import express from "express";
+import { authenticationtoken } from "./authmiddleware.js";
+import { listSessions, revokeSession, revokeAllSessions } from "./sessionService.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
+
+const router = express.Router();
+
+// List the current user's active sessions, flagging the one making this request
+router.get("/", authenticationtoken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(({ last_used_at, ...session }) => ({
+        ...session,
+        last_seen_at: last_used_at,
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke every session except the current one
+router.delete("/", authenticationtoken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { except: req.user.sid });
+
+    await recordAuditEvent(req, AUDIT_EVENTS.SESSION_REVOKED, { metadata: { revokedSessions: revoked, allOthers: true } });
+
+    res.json({ message: "Other sessions have been logged out", revokedSessions: revoked });
+  } catch (err) {
+    console.error("Revoke other sessions error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke a single session (revoking the current one logs this device out)
+router.delete("/:id", authenticationtoken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const revoked = await revokeSession(id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.SESSION_REVOKED, { metadata: { sessionId: id } });
+
+    res.json({ message: "Session revoked successfully", current: id === req.user.sid });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import express from "express";
+import { z } from "zod";
+import { authenticationtoken } from "./authmiddleware.js";
+import {
+  PAT_SCOPES,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken
+} from "./personalAccessTokens.js";
+
+const router = express.Router();
+
+// Validation schemas
+const createTokenSchema = z.object({
+  name: z.string().min(1).max(100),
+  scopes: z.array(z.enum(PAT_SCOPES)).min(1),
+  expiresInDays: z.number().int().min(1).max(365).optional(),
+});
+
+// List the current user's personal access tokens (never the token values)
+router.get("/", authenticationtoken, async (req, res) => {
+  try {
+    const tokens = await listPersonalAccessTokens(req.user.id);
+
+    res.json({ tokens, availableScopes: PAT_SCOPES });
+  } catch (err) {
+    console.error("Get tokens error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a personal access token; the value is only returned in this response
+router.post("/", authenticationtoken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = createTokenSchema.parse(req.body);
+
+    const { token, record } = await createPersonalAccessToken(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays
+    });
+
+    res.status(201).json({
+      message: "Token created successfully. Copy it now, it will not be shown again.",
+      token,
+      tokenInfo: record
+    });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("Create token error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke a personal access token
+router.delete("/:id", authenticationtoken, async (req, res) => {
+  try {
+    const revoked = await revokePersonalAccessToken(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    res.json({ message: "Token revoked successfully" });
+  } catch (err) {
+    console.error("Revoke token error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+
+// Encode bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a given counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Current TOTP time step
+export const currentTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+};
+
+// Generate a new random TOTP secret (160 bits, base32)
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Generate the TOTP code for a time step
+export const generateTotp = (secret, timeStep = currentTimeStep()) => {
+  return hotp(secret, timeStep);
+};
+
+// Verify a TOTP code, allowing one step of clock drift either way.
+// Returns the matching time step, or null if the code is invalid.
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentTimeStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(hotp(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+export const buildOtpAuthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Notes App') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate one-time recovery codes in the form xxxx-xxxx
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Recovery codes are compared case- and dash-insensitively
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+};
@@ -0,0 +1,17 @@
+-- Add TOTP two-factor authentication columns to users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_secret TEXT, -- Encrypted base32 secret (set during enrollment)
+ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT; -- Prevents replaying a code within its window
+
+-- Create table for one-time recovery codes
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL, -- SHA-256 of the normalized code
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
@@ -0,0 +1,307 @@
+import express from "express";
+import { z } from "zod";
+import { supabase } from "./database.js";
+import { authenticationtoken } from "./authmiddleware.js";
+import { encryptText, decryptText } from "./encryption.js";
+import { completeLogin, getLoginBlock } from "./sessionService.js";
+import { authLimits, sendTooManyRequests } from "./rateLimiter.js";
+import { getLockoutRemaining, recordFailedLogin, ACCOUNT_LOCKED_MESSAGE } from "./accountLockout.js";
+import { hashToken, verifyToken } from "./utils.js";
+import { recordAuditEvent, AUDIT_EVENTS } from "./auditLog.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from "./totp.js";
+
+const router = express.Router();
+
+// Validation schemas
+const codeSchema = z.object({
+  code: z.string().min(1),
+});
+
+const secondFactorSchema = z.object({
+  code: z.string().optional(),
+  recoveryCode: z.string().optional(),
+}).refine(data => data.code || data.recoveryCode, {
+  message: "Either code or recoveryCode is required",
+});
+
+const verifyLoginSchema = secondFactorSchema.and(z.object({
+  twoFactorToken: z.string().min(1),
+  deviceId: z.string().max(100).optional(),
+}));
+
+// Replace a user's recovery codes and return the plain codes (shown only once)
+const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await supabase
+    .from("user_recovery_codes")
+    .delete()
+    .eq("user_id", userId);
+
+  const { error } = await supabase
+    .from("user_recovery_codes")
+    .insert(codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+      created_at: new Date().toISOString()
+    })));
+
+  if (error) {
+    throw new Error("Failed to store recovery codes");
+  }
+
+  return codes;
+};
+
+// Check a TOTP code (rejecting replays) or consume a recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(decryptText(user.totp_secret), code);
+    if (step === null || (user.totp_last_used_step && step <= user.totp_last_used_step)) {
+      return false;
+    }
+
+    // Conditional update so the same code cannot be used twice concurrently
+    let query = supabase
+      .from("users")
+      .update({ totp_last_used_step: step })
+      .eq("id", user.id);
+    query = user.totp_last_used_step
+      ? query.lt("totp_last_used_step", step)
+      : query.is("totp_last_used_step", null);
+
+    const { data } = await query.select("id");
+    return !!data && data.length > 0;
+  }
+
+  const { data: used } = await supabase
+    .from("user_recovery_codes")
+    .update({ used_at: new Date().toISOString() })
+    .eq("user_id", user.id)
+    .eq("code_hash", hashToken(normalizeRecoveryCode(recoveryCode)))
+    .is("used_at", null)
+    .select("id");
+
+  return !!used && used.length > 0;
+};
+
+const getUser = async (userId) => {
+  const { data: user } = await supabase
+    .from("users")
+    .select("*")
+    .eq("id", userId)
+    .single();
+  return user;
+};
+
+// Start enrollment: generate a secret and return it with an otpauth URI for QR codes
+router.post("/setup", authenticationtoken, async (req, res) => {
+  try {
+    const user = await getUser(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+
+    const { error } = await supabase
+      .from("users")
+      .update({ totp_secret: encryptText(secret), totp_last_used_step: null })
+      .eq("id", user.id);
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to start two-factor setup" });
+    }
+
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: buildOtpAuthUri(secret, user.email)
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Confirm enrollment with a first code and receive recovery codes
+router.post("/enable", authenticationtoken, async (req, res) => {
+  try {
+    const { code } = codeSchema.parse(req.body);
+    const user = await getUser(req.user.id);
+
+    if (!user || !user.totp_secret) {
+      return res.status(400).json({ error: "Two-factor setup has not been started" });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+
+    const { error } = await supabase
+      .from("users")
+      .update({ totp_enabled: true, totp_enabled_at: new Date().toISOString() })
+      .eq("id", user.id);
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to enable two-factor authentication" });
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes
+    });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("2FA enable error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Disable 2FA (requires a current code or a recovery code)
+router.post("/disable", authenticationtoken, async (req, res) => {
+  try {
+    const factor = secondFactorSchema.parse(req.body);
+    const user = await getUser(req.user.id);
+
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, factor))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const { error } = await supabase
+      .from("users")
+      .update({
+        totp_enabled: false,
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_used_step: null
+      })
+      .eq("id", user.id);
+
+    if (error) {
+      return res.status(400).json({ error: "Failed to disable two-factor authentication" });
+    }
+
+    await supabase
+      .from("user_recovery_codes")
+      .delete()
+      .eq("user_id", user.id);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("2FA disable error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Regenerate recovery codes (invalidates the previous set)
+router.post("/recovery-codes", authenticationtoken, async (req, res) => {
+  try {
+    const factor = secondFactorSchema.parse(req.body);
+    const user = await getUser(req.user.id);
+
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, factor))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("2FA recovery codes error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Second login step: exchange the pending token and a code for the real tokens
+router.post("/verify", authLimits.twoFactorByIp, async (req, res) => {
+  try {
+    const { twoFactorToken, deviceId, ...factor } = verifyLoginSchema.parse(req.body);
+
+    let decoded;
+    try {
+      decoded = verifyToken(twoFactorToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: "Two-factor session expired. Please log in again." });
+    }
+
+    if (decoded.type !== "2fa_pending") {
+      return res.status(400).json({ error: "Invalid token type" });
+    }
+
+    const user = await getUser(decoded.userId);
+
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      return sendTooManyRequests(res, lockedFor, ACCOUNT_LOCKED_MESSAGE);
+    }
+
+    if (!(await verifySecondFactor(user, factor))) {
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, { userId: user.id, metadata: { reason: "invalid_second_factor" } });
+      const { locked, retryAfterSeconds } = await recordFailedLogin(user);
+      if (locked) {
+        return sendTooManyRequests(res, retryAfterSeconds, ACCOUNT_LOCKED_MESSAGE);
+      }
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    const blocked = getLoginBlock(user);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    // e.g. "magic_link+totp"; pending tokens from before the method was recorded came from a password login
+    const firstFactor = decoded.method || "password";
+    await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, {
+      userId: user.id,
+      metadata: { method: `${firstFactor}+${factor.code ? "totp" : "recovery_code"}` }
+    });
+
+    res.json(await completeLogin(user, { deviceId, req, method: "two_factor" }));
+  } catch (err) {
+    if (err.issues) {
+      return res.status(400).json({ error: err.issues });
+    }
+    console.error("2FA verify error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -6,26 +6,39 @@ export const generateSecureToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+// Hash a token for storage (issued tokens are never stored in plain text)
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Check a PKCE code_verifier against its S256 code_challenge
+export const verifyPkceChallenge = (verifier, challenge) => {
+  const computed = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return computed.length === challenge.length
+    && crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(challenge));
+};
+
 // Generate JWT token with expiration
 export const generateJWTToken = (payload, expiresIn = '1h') => {
   return jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn });
 };
 
-// Generate verification token (24 hours)
-export const generateVerificationToken = (userId, email) => {
+// Generate short-lived token proving the first step of a 2FA login (5 minutes).
+// `method` is how that step was passed: 'password' or 'magic_link'.
+export const generateTwoFactorPendingToken = (userId, method) => {
   return jwt.sign(
-    { userId, email, type: 'verification' },
+    { userId, method, type: '2fa_pending' },
     process.env.JWT_SECRET_KEY,
-    { expiresIn: '24h' }
+    { expiresIn: '5m' }
   );
 };
 
-// Generate password reset token (1 hour)
-export const generatePasswordResetToken = (userId, email) => {
+// Generate token that lets a logged-in user link an OAuth provider (10 minutes)
+export const generateLinkIntentToken = (userId, provider) => {
   return jwt.sign(
-    { userId, email, type: 'password_reset' },
+    { userId, provider, type: 'link_intent' },
     process.env.JWT_SECRET_KEY,
-    { expiresIn: '1h' }
+    { expiresIn: '10m' }
   );
 };
 